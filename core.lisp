@@ -8,6 +8,8 @@
 (begin
 	(define fs (require "fs"))
 	(define fs:exists (lambda (Path) (fs 'existsSync Path)))
+	(define fs:file? (lambda (Path)
+		(try ((fs 'statSync Path) 'isFile) (catch (E) false))))
 	(define path (require "path"))
 
 	;; Core has its own exports
@@ -33,7 +35,14 @@
 	;; ===============================================
 	(define error:name    (lambda (E) (error-lookup E 'name)))
 	(define error:message (lambda (E) (error-lookup E 'message)))
-	(define error:stack   (lambda (E) (error-lookup E 'stack)))
+	;; The JavaScript stack, followed by the source location and the Lispy
+	;; stack if they were recorded
+	(define error:stack   (lambda (E) (begin
+		(define Location (error:location E))
+		(define LispyStack (error:lispy-stack E))
+		(+ (error-lookup E 'stack)
+			(if (= undefined Location) "" (+ "\nSource location: " Location))
+			(if (= undefined LispyStack) "" (+ "\n" LispyStack))))))
 	(define error:code    (lambda (E) (error-lookup E 'code)))
 	(define error-lookup  (lambda (E Member)
 		(if (= 'error (typeof E))
@@ -41,7 +50,26 @@
 			(if (= 'string (typeof E))
 				E
 				"UndefinedError"))))
-	(define catch (macro Args (cons 'lambda Args)))
+	(define catch (macro Args `(lambda ,@Args)))
+
+	;; ===============================================
+	;; Core: records
+	;; ===============================================
+	;; (defrecord Name (Field...))
+	;; Defines the record type Name, the constructor (Name:new Field...), the
+	;; predicate (Name? Value), and for each field the accessor
+	;; (Name:Field Record) and updater (Name:with-Field Record Value).
+	(define defrecord (macro (Name Fields) (begin
+		(define record-name (lambda (Suffix) (symbol:new (+ (to_s Name) Suffix))))
+		`(begin
+			(define ,Name (record:type ',Name ',Fields))
+			(define ,(record-name ":new") (record:constructor ,Name))
+			(define ,(record-name "?") (record:predicate ,Name))
+			,@(map Fields (lambda (Field)
+				`(define ,(record-name (+ ":" (to_s Field))) (record:accessor ,Name ',Field))))
+			,@(map Fields (lambda (Field)
+				`(define ,(record-name (+ ":with-" (to_s Field))) (record:updater ,Name ',Field))))
+			',Name))))
 
 	;; ===============================================
 	;; Core: Module utility
@@ -64,6 +92,9 @@
 		))
 		;; Use Array.find to get first matching existing file
 		(define ExistingFile (Possibilities 'find fs:exists))
+		;; Then look for an installed package
+		(if (and (= ExistingFile undefined) (import-package-name? Name))
+			(set! ExistingFile (import-findpackage Name)))
 		(if (= ExistingFile undefined)
 			;; Return original name if no matching file found, so that
 			;; errors will be more readable
@@ -71,13 +102,57 @@
 			ExistingFile)
 	)))
 
+	;; Package names are not relative or absolute paths
+	(define import-package-name? (lambda (Name)
+		(not (or (Name 'startsWith ".") (path 'isAbsolute Name)))))
+	;; Find a module in an installed package, such as "package", "@scope/package"
+	;; or "package/path/to/module". As in NodeJS, node_modules directories are
+	;; searched from the directory of the importing module (or the current
+	;; directory) upwards.
+	(define import-findpackage (lambda (Name) (begin
+		(define Parts (split Name "/"))
+		(define PackageLength (if ((head Parts) 'startsWith "@") 2 1))
+		(define Package (join (Parts 'slice 0 PackageLength) "/"))
+		(define SubPath (join (Parts 'slice PackageLength) "/"))
+		(define Start
+			(if (null? ModuleChain)
+				(path 'resolve "")
+				(path 'dirname (last ModuleChain))))
+		(import-findpackage-from Start Package SubPath))))
+	(define import-findpackage-from (lambda (Dir Package SubPath) (begin
+		(define PackageDir (path 'join Dir "node_modules" Package))
+		(define Found
+			(if (fs:exists PackageDir)
+				(import-findfile (path 'join PackageDir
+					(if (= "" SubPath) (import-package-entry PackageDir) SubPath)))
+				undefined))
+		(define Parent (path 'dirname Dir))
+		(if (or (!= undefined Found) (= Parent Dir))
+			Found
+			(import-findpackage-from Parent Package SubPath)))))
+	;; The module of a package is given by the "lispy" field of its
+	;; package.json, and is otherwise index.lisp
+	(define import-package-entry (lambda (PackageDir) (begin
+		(define Manifest (path 'join PackageDir "package.json"))
+		(define Entry
+			(if (fs:file? Manifest)
+				(dict:get (json:parse (fs 'readFileSync Manifest "utf8")) "lispy")
+				undefined))
+		(if (= undefined Entry) "index" Entry))))
+	;; The first file that exists of Base with each of the ModuleSuffixes
+	(define import-findfile (lambda (Base)
+		((map ModuleSuffixes (lambda (S) (+ Base S))) 'find fs:file?)))
+
 	;; ===============================================
 	;; Core: Importing and exporting
 	;; ===============================================
-	;; (import ModuleName)
-	;; Import a Lispy module
-	(define import (macro (ModuleName)
-		['import-module ['get-module ModuleName] ['env:current]]
+	;; (import ModuleName Options...)
+	;; Import a Lispy module. Options are any of:
+	;;   only (Names...)    import only the given names
+	;;   except (Names...)  import all names but those given
+	;;   as Prefix          import each name as Prefix:Name
+	(define import (macro (ModuleName &rest Options)
+		`(import-module (get-module ,ModuleName) (env:current) ',Options)
 	))
 
 	;; Caching for import-modulefile
@@ -86,6 +161,9 @@
 	(define icache:get  (lambda (Key)       (dict:get  ImportCache Key)))
 	(define icache:set  (lambda (Key Value) (dict:set  ImportCache Key Value)))
 
+	;; Paths of the modules being loaded, outermost first
+	(define ModuleChain [])
+
 	;; (get-module ModuleName::String|Atom)
 	(define get-module (lambda (Path) (begin
 		(define FullPath (import-findmodule (to_s Path)))
@@ -93,13 +171,32 @@
 		(if (icache:get? FullPath)
 			(icache:get FullPath)
 			(begin
-				(define Module (module-evaluate (fs 'readFileSync FullPath "utf8")))
+				;; A module still loading can only be reached by a circular import
+				(if (ModuleChain 'includes FullPath)
+					(error (error:custom "CircularImportError" (+ "Circular import: "
+						(join (concat ModuleChain [FullPath]) " -> ")))))
+				(set! ModuleChain (concat ModuleChain [FullPath]))
+				(define Module
+					(try
+						(module-evaluate (fs 'readFileSync FullPath "utf8") FullPath)
+						(catch (E) (begin
+							(set! ModuleChain (ModuleChain 'slice 0 -1))
+							(error E)))))
+				(set! ModuleChain (ModuleChain 'slice 0 -1))
 				(icache:set FullPath Module)
 				Module)))))
 
+	;; (core:reload-module ModuleName::String|Atom)
+	;; Discard the cached module so that it is evaluated again, and return
+	;; its new exports. Import it again to use the new definitions.
+	(define core:reload-module (lambda (Path) (begin
+		(dict:delete ImportCache (import-findmodule (to_s Path)))
+		(get-module Path))))
+
 	(define TopLevel (env:toplevel (env:current)))
-	(define module-evaluate (lambda (Content) (begin
-		(define Parsed (parse Content))
+	;; Path is used to report source locations in errors
+	(define module-evaluate (lambda (Content Path) (begin
+		(define Parsed (parse Content Path))
 		(define ModuleEnv (env:new TopLevel))
 		;; Add module exports target
 		(define Exports (dict:new))
@@ -109,17 +206,49 @@
 		;; Add whatever we export from core
 		(each (dict:keys exports) (lambda (Key)
 			(env:define ModuleEnv Key (dict:get exports Key))))
-		(eval Parsed ModuleEnv)
-		Exports)))
-
-	;; Perform the import of a module's exports object to the target environment.
-	(define import-module (lambda (Exports TargetEnv) (begin
-		;; export everything in the exports dictionary to the target env
-		(each (dict:keys Exports) (lambda (Key)
-			(env:define TargetEnv Key (dict:get Exports Key))))
-		;; Return all exports
-		Exports
-	)))
+		;; A module that awaits at the top level gives a Promise of its exports
+		(if (eval:awaits? Parsed)
+			((eval:async Parsed ModuleEnv) 'then (lambda (Result) Exports))
+			(begin
+				(eval Parsed ModuleEnv)
+				Exports)))))
+
+	;; Perform the import of a module's exports object to the target environment,
+	;; with the Options of import.
+	;; If Exports is a Promise, the import happens once it resolves, and a
+	;; Promise is returned. Use (await (import 'Module)) to wait for it.
+	(define import-module (lambda (Exports TargetEnv &optional (Options []))
+		(if (promise? Exports)
+			(Exports 'then (lambda (Resolved) (import-module Resolved TargetEnv Options)))
+			(begin
+				(define Prefix "")
+				(define Keys (dict:keys Exports))
+				(import-options Options (lambda (Option Value)
+					(match (to_s Option)
+						("only" (begin
+							(define Names (map Value to_s))
+							(each Names (lambda (Name)
+								(if (not (dict:key? Exports Name))
+									(error (error:custom "ImportError" (+ "Module does not export " Name))))))
+							(set! Keys Names)))
+						("except" (begin
+							(define Names (map Value to_s))
+							(set! Keys (Keys 'filter (lambda (Key) (not (Names 'includes Key)))))))
+						("as" (set! Prefix (+ (to_s Value) ":")))
+						(_ (error (error:custom "ImportError" (+ "Unknown import option " (to_s Option))))))))
+				;; export the selected keys of the exports dictionary to the target env
+				(each Keys (lambda (Key)
+					(env:define TargetEnv (+ Prefix Key) (dict:get Exports Key))))
+				;; Return all exports
+				Exports
+			))))
+	;; Call Handler with each (Option Value) pair of import options
+	(define import-options (lambda (Options Handler)
+		(if (not (null? Options)) (begin
+			(if (= 1 (length Options))
+				(error (error:custom "ImportError" (+ "Missing value for import option " (to_s (head Options))))))
+			(Handler (head Options) (index Options 1))
+			(import-options (Options 'slice 2) Handler)))))
 
 	;; (export ModuleName Function...)
 	(define export (macro Args (begin
@@ -130,10 +259,10 @@
 				(+ (to_s ModuleName) ":")))
 		(define Exported (map (tail Args) (lambda (Name) (begin
 			(define FullName (+ ModulePrefix (to_s Name)))
-			['dict:update 'exports FullName Name]
+			`(dict:update exports ,FullName ,Name)
 		))))
-		;; (print "Export list:" (cons 'begin Exported))
-		(cons 'begin Exported)
+		;; (print "Export list:" `(begin ,@Exported))
+		`(begin ,@Exported)
 	)))
 
 	(define export-toplevel (lambda (Members)
@@ -142,15 +271,17 @@
 
 	;; Exports the given functions to the top level environment
 	(define export-core (macro Args (begin
-		(cons 'begin (map Args (lambda (Key)
-			['env:define 'TopLevel ['quote Key] Key]))))))
+		`(begin ,@(map Args (lambda (Key)
+			`(env:define TopLevel ',Key ,Key)))))))
 
 	;; Core: importing and exporting
 	(export-core import import-module get-module export)
 	;; Core: try/catch and errors
 	(export-core catch error:name error:message error:stack error:code)
+	;; Core: records
+	(export-core defrecord)
 	;; Core: configurables
-	(export-core core:add-module-prefix core:add-module-suffix export-toplevel)
+	(export-core core:add-module-prefix core:add-module-suffix core:reload-module export-toplevel)
 
 
 	;; ===============================================
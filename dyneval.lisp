@@ -26,9 +26,9 @@
 	;; ===============================================
 	;; Debugging
 	;; ===============================================
-	(define reporter-non-debug (lambda () nil))
+	(define reporter-non-debug (lambda Args nil))
 	(define reporter-debug (lambda Args (proc:apply print (cons (debug-str) Args))))
-	(define inspector-non-debug (lambda () nil))
+	(define inspector-non-debug (lambda (Val) nil))
 	(define inspector-debug (lambda (Val)
 		((to_string Val true) 'substr 0 DebugMaxLength)))
 	(define debug-str (lambda ()
@@ -68,7 +68,7 @@
 	(jumptable:update SimpleTable 'list      (lambda (X Env)
 		((jumptable:get BuiltinTable (head X)) X Env)))
 	;;   o Everything else is returned immediately
-	(jumptable:update SimpleTable     _      (lambda (X) {'ok X}))
+	(jumptable:update SimpleTable     _      (lambda (X Env) {'ok X}))
 
 	;; ===============================================
 	;; Builtins
@@ -85,6 +85,9 @@
 	))
 	;;   o (quote Exp)
 	(jumptable:update BuiltinTable 'quote    (lambda (Args Env) {'ok (index Args 1)}))
+	;;   o (quasiquote Template)
+	(jumptable:update BuiltinTable 'quasiquote (lambda (Args Env)
+		{'ok (dyneval-quasiquote (index Args 1) Env 1)}))
 	;;   o (define Name Value)
 	(jumptable:update BuiltinTable 'define   (lambda (Args Env)
 		{'ok (env:define Env (index Args 1) (dyneval (index Args 2) Env))}))
@@ -100,8 +103,16 @@
 	;;   o (macro Args Body)
 	(jumptable:update BuiltinTable 'macro    (lambda (Args Env)
 		{'ok (macro:new (index Args 1) (index Args 2) Env)}))
+	;;   o (hygienic-macro Args Body)
+	(jumptable:update BuiltinTable 'hygienic-macro (lambda (Args Env)
+		{'ok (macro:new (index Args 1) (index Args 2) Env true)}))
 	;;   o (begin Exps...)
 	(jumptable:update BuiltinTable 'begin    (lambda (Args Env) (dyneval-begin (tail Args) Env)))
+	;;   o (match Exp Clauses...)
+	(jumptable:update BuiltinTable 'match    (lambda (X Env) (begin
+		(define Matched (match:select X (dyneval (index X 1) Env) Env dyneval))
+		;; tail recurse into the body of the matching clause
+		{'continue (index Matched 0) (index Matched 1)})))
 	;;   o (try Expression Catcher)
 	(jumptable:update BuiltinTable 'try      (lambda (X Env)
 		(try
@@ -124,14 +135,33 @@
 	(jumptable:update BuiltinTable     _     (lambda (Args Env) (begin
 		(define Proc (dyneval (head Args) Env))
 		((jumptable:get ProcTypeTable1 (typeof Proc)) Proc (tail Args) Env))))
+	;;   o Helpers for quasiquote. Unquoted parts are evaluated only at
+	;;     depth 1; nested quasiquotes increase the depth, unquotes decrease it.
+	(define quasiquote-head? (lambda (X Name)
+		(if (= 'list (typeof X))
+			(if (null? X) false (= (head X) Name))
+			false)))
+	(define dyneval-quasiquote (lambda (X Env Depth)
+		(if (or (quasiquote-head? X 'unquote) (quasiquote-head? X 'unquote-splicing))
+			(if (= Depth 1)
+				(dyneval (index X 1) Env)
+				[(head X) (dyneval-quasiquote (index X 1) Env (- Depth 1))])
+			(if (quasiquote-head? X 'quasiquote)
+				[(head X) (dyneval-quasiquote (index X 1) Env (+ Depth 1))]
+				(if (= 'list (typeof X))
+					(list:reduce X [] (lambda (Y Result)
+						(if (and (= Depth 1) (quasiquote-head? Y 'unquote-splicing))
+							(concat Result (dyneval (index Y 1) Env))
+							(concat Result [(dyneval-quasiquote Y Env Depth)]))))
+					X)))))
 	;;   o Helper for begin
-	(define dyneval-begin (lambda (X Env)
+	(define dyneval-begin (lambda (X Env &optional Ignored)
 		;; if one item left...
 		(if (null? (tail X))
 			;; tail recurse
 			{'continue (head X) Env}
-			;; evaluate without keeping result by passing it as an argument
-			;; that is not captured.
+			;; evaluate without keeping result by passing it as an optional
+			;; argument that is not used.
 			(dyneval-begin (tail X) Env (dyneval (head X) Env)))))
 
 	;; ===============================================
@@ -172,7 +202,7 @@
 	(jumptable:update ProcTypeTable2 'macro (lambda (Proc Exps Env) (begin
 		(define Env2 (env:new (macro:env Proc)))
 		(env:update Env2 (macro:args Proc) Exps)
-		(define Result (dyneval (macro:body Proc) Env2))
+		(define Result (macro:hygienate Proc (dyneval (macro:body Proc) Env2) Exps))
 		;; tail recurse
 		{'continue Result Env})))
 	;;  o If proc, use apply to call the proc
@@ -260,7 +290,7 @@
 	;;     o Exps are the non-evaulated arguments
 	;;     o Env is the executing environment
 	(define add-proc-handler1 (lambda (Type Handler) (begin
-		(jumptable:update ProcTable1 Type Handler)
+		(jumptable:update ProcTypeTable1 Type Handler)
 		{'ok}
 	)))
 
@@ -272,7 +302,7 @@
 	;;     o Exps are the evaulated arguments
 	;;     o Env is the executing environment
 	(define add-proc-handler2 (lambda (Type Handler) (begin
-		(jumptable:update ProcTable2 Type Handler)
+		(jumptable:update ProcTypeTable2 Type Handler)
 		{'ok}
 	)))
 
@@ -284,26 +314,22 @@
 		(define Failures 0)
 
 		;; Help macro: increment an integer variable
-		(define inc! (macro (Name Value) (begin
-			(if (= undefined Value)
-				(set! Value 1))
-			['set! Name ['+ Name Value]])))
+		(define inc! (macro (Name &optional (Value 1))
+			`(set! ,Name (+ ,Name ,Value))))
 
 		;; TODO: perform in try block?
-		(define ?testeq (macro (Cond Eq)
-			['begin
-				['define 'Condeq Cond]
-				['if ['= 'Condeq Eq]
-					['begin
-						['inc! 'Successes]
-						'true
-					]
-					['begin
-						['print "Test failed:" ['quote Cond] "should be =" Eq ", is actually =" 'Condeq]
-						['inc! 'Failures]
-						'false]
-				]
-			]
+		;; Hygienic, so that Condeq does not overwrite a variable of the caller
+		(define ?testeq (hygienic-macro (Cond Eq)
+			`(begin
+				(define Condeq ,Cond)
+				(if (= Condeq ,Eq)
+					(begin
+						(inc! Successes)
+						true)
+					(begin
+						(print "Test failed:" ',Cond "should be =" ,Eq ", is actually =" Condeq)
+						(inc! Failures)
+						false)))
 		))
 
 		;; Test environment
@@ -318,6 +344,11 @@
 			(?testeq (dyneval "test" Env) "test")
 			(?testeq (dyneval 'test-key Env) 'test-value)
 			(?testeq (dyneval (parse "(begin (define add (lambda (A B) (+ A B))) (add 3 2))") Env) 5)
+			(?testeq (to_string (dyneval (parse "((lambda (A &optional (B 2) . Rest) [A B Rest]) 1 2 3)") Env)) "[1 2 [3]]")
+			(?testeq (dyneval (parse "((lambda ([A B] {C D}) (+ A B C D)) [1 2] {3 4})") Env) 10)
+			(?testeq (to_string (dyneval (parse "(begin (define L [2 3]) `(1 ,@L ,(+ 2 2)))") Env)) "[1 2 3 4]")
+			(?testeq (to_string (dyneval (parse "(begin (define X 1) (define m (hygienic-macro (V) `(begin (define X ,V) X))) [(m 2) X])") Env)) "[2 1]")
+			(?testeq (dyneval (parse "(match {'continue 5 nil} ({'ok V} V) ({'continue B _} when (> B 1) (* B 2)))") Env) 10)
 		(print "---- Begin test.lisp")
 		(?testeq (dyneval (parse (fs:readFile "test.lisp" "utf8")) Env) 'ok)
 		(print "---- Done")
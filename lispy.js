@@ -35,6 +35,10 @@
 var fs = require('fs');
 var path = require('path');
 var util = require('util');
+var performance = require('perf_hooks').performance;
+var net = require('net');
+var worker_threads = require('worker_threads');
+var url = require('url');
 
 if (typeof __dirname === 'undefined')
 	var __dirname = "";
@@ -46,55 +50,270 @@ var depth = 1;
 var startOf = str => str.length ? str[0] : '';
 var endOf   = str => str.length ? str[str.length - 1] : '';
 var isspace = c => c === ' ' || c === '\t' || c === '\r' || c === '\n';
-var ascii0  = '0'.charCodeAt(0);
-var ascii9  = '9'.charCodeAt(0);
-var isdigit = c =>
-	(c === '') ? false :
-		(typeof c === 'string') ? isdigit(c.charCodeAt(0)) :
-			(c >= ascii0 && c <= ascii9);
 
 class Symbol {
 	constructor(name) { this.symbol = name; }
 	toString() { return "'" + this.symbol; }
 }
-function Parse (code) {
-	return read_from(tokenise(code));
-}
-var tSeparators = "()[]{}";
-function tokenise(str) {
-	var tokens = [];
-	var s = 0, t; // string counters, use s for most and t when required
-	while(s < str.length) {
-		while (isspace(str[s]))                    // Skip whitespace
-			++s;
-		if (str.substr(s, 2) === ';;')             // Skip comment lines
-			while(s < str.length && str[s] !== '\n' && str[s] !== '\r')
+// A position in a source file, attached to parsed lists and symbols
+class SourceLocation {
+	constructor(file, line, column) {
+		this.file   = file;
+		this.line   = line;
+		this.column = column;
+	}
+	toString() {
+		return (this.file || "<input>") + ":" + this.line + ":" + this.column;
+	}
+}
+// Locations are non-enumerable so that lists still look like plain Arrays
+function SetLocation (obj, location) {
+	if (location !== undefined)
+		Object.defineProperty(obj, 'location', {
+			value: location, writable: true, configurable: true
+		});
+	return obj;
+}
+function LocationOf (X) {
+	return (X !== undefined && X !== null) ? X.location : undefined;
+}
+class Token {
+	constructor(value, location) {
+		this.value    = value;
+		this.location = location;
+	}
+}
+function Parse (code, file) {
+	return read_from(new Reader(code, file, ReadTable.Standard));
+}
+// Returns a function mapping an offset in str to a SourceLocation
+function Locator (str, file) {
+	var lineStarts = [0];
+	for(var i = 0; i < str.length; ++i)
+		if (str[i] === '\n') lineStarts.push(i + 1);
+	return offset => {
+		var lo = 0, hi = lineStarts.length - 1;
+		while (lo < hi) {
+			var mid = (lo + hi + 1) >> 1;
+			if (lineStarts[mid] <= offset) lo = mid;
+			else hi = mid - 1;
+		}
+		return new SourceLocation(file, lo + 1, offset - lineStarts[lo] + 1);
+	};
+}
+// ===============================================
+// Reader
+//
+// A Reader tokenises text as it is read, using a ReadTable of reader
+// macros: each is keyed by the text it starts with, and is called with
+// the Reader to read the rest of its syntax. The standard table reads
+// lists with ( [ and {. Other syntaxes are named sets of reader macros,
+// which (reader:use Name...) enables as it is read, for the rest of the
+// text being read. Built in are:
+//
+//   dict      #{Key Value...} reads as (dict Key Value...)
+//   regex     #/Source/Flags reads as (regexp "Source" "Flags")
+//   comment   #;Form reads as nothing, commenting out Form
+// ===============================================
+class ReadTable {
+	constructor(parent) {
+		this.macros  = new Map(parent !== undefined ? parent.macros : undefined);  // text to reader macro
+		this.closers = new Set(parent !== undefined ? parent.closers : undefined); // characters that close lists
+	}
+	toString() { return '#ReadTable'; }
+	// Read text starting with prefix by calling (Macro Reader), which gives
+	// the form read, or reader:none to read nothing
+	macro(prefix, macro) {
+		prefix = to_s(prefix);
+		if (prefix === "" || isspace(prefix[0]) || prefix[0] === '"' || prefix.startsWith(";;"))
+			throw new InvalidArgumentError("Invalid reader macro prefix " + JSON.stringify(prefix));
+		this.macros.set(prefix, macro);
+		return this;
+	}
+	// Read forms until close as a list, starting with the symbol head if given
+	delimiter(open, close, head) {
+		close = to_s(close);
+		if (close.length !== 1 || isspace(close))
+			throw new InvalidArgumentError("Invalid closing delimiter " + JSON.stringify(close));
+		this.macro(open, ReaderDelimiter(close, head));
+		this.closers.add(close);
+		return this;
+	}
+	// Whether c ends a token, as do spaces, closers and single character macros
+	ends(c) {
+		return isspace(c) || this.closers.has(c) || this.macros.has(c);
+	}
+	// The longest macro prefix at position in text
+	match(text, position) {
+		var found;
+		this.macros.forEach((macro, prefix) => {
+			if ((found === undefined || prefix.length > found.length) && text.startsWith(prefix, position))
+				found = prefix;
+		});
+		return found;
+	}
+}
+// A reader macro reading a list, marked for the formatter with its close
+function ReaderDelimiter (close, head) {
+	var macro = reader => read_list(reader, reader.token, close,
+		(head === undefined || head === null) ? [] : [SetLocation(new Symbol(to_s(head)), reader.token.location)]);
+	macro.close = close;
+	return macro;
+}
+ReadTable.Standard = new ReadTable()
+	.delimiter("(", ")")
+	.delimiter("[", "]", 'list')   // [a b] => (list a b)
+	.delimiter("{", "}", 'tuple'); // {a b} => (tuple a b)
+class Reader {
+	// options:
+	//   keepComments     Give comments as tokens
+	//   syntaxes         Whether reader:use may enable syntaxes, default true
+	constructor(text, file, table, options) {
+		options = options || {};
+		this.text  = text;
+		this.file  = file;
+		this.table = table;        // replaced by reader:use
+		this.position = 0;         // offset of the text not yet tokenised
+		this.tokens = [];          // tokens read ahead
+		this.token  = undefined;   // the token of the reader macro being called
+		this.keepComments = !!options.keepComments;
+		this.syntaxes = options.syntaxes !== false;
+		this.locate = Locator(text, file);
+	}
+	toString() { return '#Reader'; }
+	get end() { return this.locate(this.text.length); }
+	// The next token without reading it, or undefined at the end
+	peek() {
+		if (this.tokens.length === 0) {
+			var token = this.scan();
+			if (token !== undefined)
+				this.tokens.push(token);
+		}
+		return this.tokens[0];
+	}
+	next() {
+		var token = this.peek();
+		this.tokens.shift();
+		return token;
+	}
+	unread(token) { this.tokens.unshift(token); }
+	// Tokenise the next token of the text
+	scan() {
+		var str = this.text, s = this.position, t, token, prefix;
+		while (token === undefined && s < str.length) {
+			while (isspace(str[s]))                    // Skip whitespace
 				++s;
-		else if(tSeparators.indexOf(str[s]) != -1) // List open or close
-			tokens.push(str[s++]);
-		else if (str[s] === '"') {                 // "string" in quotes
-			t = s;
-			var escape = 0;
-			do {
-				++t;
-				if (escape !== 0) escape--;
-				if (str[t] === '\\') escape = 2;
-			} while (t < str.length && (escape !== 0 || str[t] !== '"'));
-			++t;
-			tokens.push(str.substr(s, t - s));
-			s = t;
-		} else {                                   // A generic token
-			t = s;
-			while (t < str.length && !isspace(str[t]) &&
-			       tSeparators.indexOf(str[t]) == -1)
+			if (s >= str.length)
+				break;
+			if (str.substr(s, 2) === ';;') {           // Skip comment lines
+				t = s;
+				while(s < str.length && str[s] !== '\n' && str[s] !== '\r')
+					++s;
+				if (this.keepComments)
+					token = new Token(str.substring(t, s).trimEnd(), this.locate(t));
+			} else if ((prefix = this.table.match(str, s)) !== undefined) { // Reader macro
+				token = new Token(prefix, this.locate(s));
+				token.macro = this.table.macros.get(prefix);
+				s += prefix.length;
+			} else if (this.table.closers.has(str[s])) { // List close
+				token = new Token(str[s], this.locate(s++));
+			} else if (str[s] === '"') {               // "string" in quotes
+				t = s;
+				var escape = 0;
+				do {
+					++t;
+					if (escape !== 0) escape--;
+					// A backslash escapes the next character, unless itself escaped
+					if (str[t] === '\\' && escape === 0) escape = 2;
+				} while (t < str.length && (escape !== 0 || str[t] !== '"'));
+				if (t >= str.length)
+					throw new ParserError("Unterminated string", this.locate(s));
 				++t;
-			tokens.push(str.substr(s, t - s));
-			s = t;
+				token = new Token(str.substr(s, t - s), this.locate(s));
+				s = t;
+			} else {                                   // A generic token
+				t = s;
+				while (t < str.length && !this.table.ends(str[t]))
+					++t;
+				token = new Token(str.substr(s, t - s), this.locate(s));
+				s = t;
+			}
+		}
+		this.position = s;
+		return token;
+	}
+	// The characters after a reader macro's prefix, read by the macro
+	peekChar() { return this.text[this.charPosition()]; }
+	nextChar() {
+		var c = this.text[this.charPosition()];
+		if (c !== undefined)
+			++this.position;
+		return c;
+	}
+	charPosition() {
+		if (this.tokens.length !== 0)
+			throw new InvalidOperationError("Characters can not be read after a token read ahead");
+		return this.position;
+	}
+	// Enable the syntaxes named by the arguments of (reader:use Name...)
+	use(names, location) {
+		if (!this.syntaxes)
+			return;
+		names.forEach(X => {
+			var name = (HeadName(X) === 'quote' && IsParameterName(X[1])) ? to_s(X[1]) :
+				(typeof X === 'string') ? X : undefined;
+			if (name === undefined)
+				throw new ParserError("reader:use expects quoted syntax names", LocationOf(X) || location);
+			this.table = new ReadTable(this.table);
+			ReaderSyntax(name, LocationOf(X) || location)(this.table);
+		});
+	}
+}
+// The syntax of a name, loading the module of that name to define it if
+// there is one. Modules are not loaded by code run in a sandbox.
+function ReaderSyntax (name, location) {
+	if (!ReaderSyntaxes.has(name) && ActiveSandbox === null &&
+	    fs.existsSync(CoreEnvironment.get('import-findmodule')(name))) {
+		try {
+			CoreEnvironment.get('get-module')(name);
+		} catch (e) {
+			throw new ParserError("Cannot load reader syntax " + name + ": " + e.message, location);
 		}
 	}
-	return tokens;
+	if (!ReaderSyntaxes.has(name))
+		throw new ParserError("Unknown reader syntax " + name, location);
+	return ReaderSyntaxes.get(name);
 }
-function atom (token) {
+// Given by a reader macro that reads nothing
+var ReaderNone = new Symbol('reader:none');
+var ReaderBuiltinSyntaxes = new Map([
+	['dict',    table => table.delimiter("#{", "}", 'dict')],
+	['regex',   table => table.macro("#/", ReadRegExp)],
+	['comment', table => table.macro("#;", reader => (read_from(reader), ReaderNone))],
+]);
+// Syntaxes defined in the active interpreter, by name
+var ReaderSyntaxes = new Map(ReaderBuiltinSyntaxes);
+// #/Source/Flags, where Source may contain \/
+function ReadRegExp (reader) {
+	var location = reader.token.location;
+	var source = "", flags = "", c;
+	while ((c = reader.nextChar()) !== '/') {
+		if (c === '\\')
+			c += reader.nextChar() || "";
+		if (c === undefined || c === '\n')
+			throw new ParserError("Unterminated regexp", location);
+		source += c;
+	}
+	while (/^[a-z]$/i.test(reader.peekChar() || ""))
+		flags += reader.nextChar();
+	try {
+		new RegExp(source, flags);
+	} catch (e) {
+		throw new ParserError(e.message, location);
+	}
+	return [SetLocation(new Symbol('regexp'), location), source].concat(flags === "" ? [] : [flags]);
+}
+function atom (token, location) {
 	if (startOf(token) === '"' && endOf(token) === '"') {
 		// Use eval to get the correct string representation.
 		return token.substr(1, token.length - 2).replace(/(\\.)/g,
@@ -106,66 +325,365 @@ function atom (token) {
 				return m[1];
 			});
 	}
-	if (isdigit(token[0]) || token.length > 1 && token[0] === '-' && isdigit(token[1])) {
-		// coerce token to a number by calling Number class
-		return Number(token);
-	}
-	return new Symbol(token);
-}
-function read_from(tokens) {
-	if (tokens.length === 0) throw new ParserError("Missing opening token");
-
-	var token = tokens.shift();
-	if (token === "(") {
-		// (: normal List open
-		var cells = [];
-		while (tokens[0] !== ")") {
-			cells.push(read_from(tokens));
-			if (tokens.length === 0) throw new ParserError("Missing closing )");
-		}
-		if (tokens.length === 0) throw new ParserError("Missing closing )");
-		tokens.shift(); // discard closing )
-		return cells;
-	} else if (token === "[") {
-		// [: auto list open (converts to (list ...))
-		var cells = [new Symbol('list')];
-		while (tokens[0] !== "]") {
-			cells.push(read_from(tokens));
-			if (tokens.length === 0) throw new ParserError("Missing closing ]");
-		}
-		if (tokens.length === 0) throw new ParserError("Missing closing ]");
-		tokens.shift(); // discard closing )
-		return cells;
-	} else if (token === "{") {
-		// {: tuple open (converts to tuple)
-		var cells = [new Symbol('tuple')];
-		while (tokens[0] !== "}") {
-			cells.push(read_from(tokens));
-			if (tokens.length === 0) throw new ParserError("Missing closing }");
-		}
-		if (tokens.length === 0) throw new ParserError("Missing closing }");
-		tokens.shift(); // discard closing )
-		return cells;
-	} else if (token === "'") {
-		// '(1 2 3) => (quote (1 2 3))
-		var cell = [];
-		cell.push("quote"); // XXX: or, new Symbol('quote')
-		cell.push(read_from(tokens));
-		return cell;
-	} else if (startOf(token) === "'") {
-		// 'a => (quote a)
-		tokens.unshift(token.substr(1));
-		var cell = [];
-		cell.push("quote"); // XXX: see above
-		cell.push(read_from(tokens));
-		return cell;
-	} else {
-		return atom(token);
+	if (NumericStart.test(token)) {
+		var number = ReadNumber(token, location);
+		if (number === undefined)
+			throw new ParserError("Invalid numeric literal " + token, location);
+		return number;
+	}
+	if (token.startsWith("#:"))
+		throw new ParserError("Symbols starting #: are reserved for gensym: " + token, location);
+	return SetLocation(new Symbol(token), location);
+}
+// Tokens starting like this must be numbers: 1 -1 +1 .5 -.5
+var NumericStart   = /^[+-]?\.?[0-9]/;
+var RadixLiteral   = /^([+-]?)0([xbo])([0-9a-f]+)(n?)$/i;
+var IntegerLiteral = /^[+-]?[0-9]+$/;
+var BigIntLiteral  = /^([+-]?[0-9]+)n$/;
+var RationalLiteral= /^([+-]?[0-9]+)\/([0-9]+)$/;
+var DecimalLiteral = /^[+-]?([0-9]+\.?[0-9]*|\.[0-9]+)(e[+-]?[0-9]+)?$/i;
+var RadixDigits    = { x: /^[0-9a-f]+$/i, b: /^[01]+$/, o: /^[0-7]+$/ };
+// Read a numeric literal, returning undefined if the token is not one.
+// Integers too large to be represented exactly are read as BigInts.
+function ReadNumber (token, location) {
+	var m;
+	if ((m = RadixLiteral.exec(token))) {
+		var radix = m[2].toLowerCase();
+		if (!RadixDigits[radix].test(m[3])) return undefined;
+		var value = BigInt("0" + radix + m[3]);
+		if (m[1] === '-') value = -value;
+		return (m[4] || !IsSafeBigInt(value)) ? value : Number(value);
+	}
+	if ((m = BigIntLiteral.exec(token)))
+		return BigInt(m[1].replace(/^\+/, ''));
+	if ((m = RationalLiteral.exec(token))) {
+		if (/^0+$/.test(m[2])) return undefined;
+		return MakeRational(BigInt(m[1].replace(/^\+/, '')), BigInt(m[2]));
+	}
+	if (IntegerLiteral.test(token)) {
+		var value = BigInt(token.replace(/^\+/, ''));
+		return IsSafeBigInt(value) ? Number(value) : value;
+	}
+	if (DecimalLiteral.test(token)) {
+		var value = Number(token);
+		if (!isFinite(value))
+			throw new ParserError("Numeric literal out of range " + token, location);
+		return value;
+	}
+	return undefined;
+}
+// Read a list of cells until the closing token, starting with the given cells
+function read_list(reader, open, close, cells) {
+	var token;
+	while ((token = reader.peek()) !== undefined && token.value !== close) {
+		var X = read_form(reader);
+		if (X !== ReaderNone)
+			cells.push(X);
+	}
+	if (token === undefined) throw new ParserError("Missing closing " + close, open.location);
+	reader.next(); // discard closing token
+	// Syntaxes apply from here on
+	if (IsSymbolNamed(cells[0], 'reader:use'))
+		reader.use(cells.slice(1), open.location);
+	return SetLocation(cells, open.location);
+}
+function read_from(reader) {
+	var X;
+	do
+		X = read_form(reader);
+	while (X === ReaderNone);
+	return X;
+}
+// Read a form, or ReaderNone if a reader macro read nothing
+function read_form(reader) {
+	var open = reader.next();
+	if (open === undefined) throw new ParserError("Missing opening token", reader.end);
+
+	if (open.macro !== undefined)
+		return ReaderExpand(reader, open);
+	var token = open.value;
+	var prefix = ReaderPrefixes.find(P => token.startsWith(P[0]));
+	if (prefix !== undefined) {
+		// 'a => (quote a), `(a ,b ,@c) => (quasiquote (a (unquote b) (unquote-splicing c)))
+		var location = open.location;
+		if (token.length > prefix[0].length)
+			reader.unread(new Token(token.substr(prefix[0].length),
+				new SourceLocation(location.file, location.line, location.column + prefix[0].length)));
+		var cell = [SetLocation(new Symbol(prefix[1]), location)];
+		cell.push(read_from(reader));
+		return SetLocation(cell, location);
+	}
+	return atom(token, open.location);
+}
+// Call the reader macro of token, locating the list it gives there
+function ReaderExpand (reader, token) {
+	var outer = reader.token;
+	reader.token = token;
+	try {
+		var X = token.macro(reader);
+	} finally {
+		reader.token = outer;
 	}
+	if (X !== undefined && X !== null && X.constructor === Array && LocationOf(X) === undefined)
+		SetLocation(X, token.location);
+	return X;
+}
+// Token prefixes that wrap the following form. ,@ must be tried before ,
+var ReaderPrefixes = [
+	["'",  'quote'],
+	["`",  'quasiquote'],
+	[",@", 'unquote-splicing'],
+	[",",  'unquote'],
+];
+
+// ===============================================
+// Formatter
+//
+// ReadTree reads code into a concrete syntax tree which, unlike Parse,
+// keeps comments, bracket kinds, the original text of atoms and where
+// lines were broken. Format prints a tree with consistent layout: each
+// line is indented one tab deeper than the line that opened its list,
+// spacing is normalised, and closing brackets end the last line of their
+// list.
+//
+// Lists written on one line stay on one line if they fit. Otherwise line
+// breaks are kept where they were written, and added where a line would
+// be too long, except in these forms:
+//
+//   (begin          every form on its own line
+//   (define Name    the name always on the first line
+//   (if Cond        then and else on their own lines, or a single
+//                   lambda, macro or begin hanging from the first line
+//   (lambda Args    the body on its own lines, or hanging as for if
+//   (macro Args     as for lambda
+// ===============================================
+class TreeNode {
+	constructor(kind, text, location) {
+		this.kind     = kind;     // 'atom', 'comment', 'list' or 'prefix'
+		this.text     = text;     // atom or comment text, open bracket or prefix
+		this.location = location;
+		this.items    = [];       // list members, or the form a prefix applies to
+		this.close    = undefined; // closing bracket of a list
+		this.endLine  = location.line; // line the node ends on
+		this.newline  = false;    // starts a line in the source
+		this.blank    = false;    // preceded by a blank line in the source
+	}
+}
+// Read code into a list of TreeNodes. Syntaxes enabled by reader:use are
+// read too: their delimiters as lists, and the text other reader macros
+// read as an atom, kept as written.
+function ReadTree (code, file) {
+	var reader = new Reader(code, file, ReadTable.Standard, { keepComments: true });
+	var line = 0; // line on which the last token ended
+	var atomNode = (text, location) => {
+		var node = new TreeNode('atom', text, location);
+		node.newline = location.line > line;
+		node.blank   = line > 0 && location.line > line + 1;
+		node.endLine = line = location.line + (text.match(/\n/g) || []).length;
+		return node;
+	};
+	var next = () => {
+		var token = reader.next();
+		return atomNode(token.value, token.location);
+	};
+	// The names of (reader:use Name...) as Reader.use takes them
+	var syntaxNames = items => items.map(I =>
+		(I.kind === 'prefix' && I.text === "'" && I.items[0].kind === 'atom') ? [new Symbol('quote'), new Symbol(I.items[0].text)] :
+		(I.kind === 'atom' && I.text.startsWith('"')) ? atom(I.text) : undefined);
+	var read = () => {
+		var token = reader.peek();
+		if (token.macro !== undefined && token.macro.close === undefined) {
+			var start = reader.position - token.value.length;
+			reader.next();
+			reader.keepComments = false;
+			try {
+				ReaderExpand(reader, token);
+			} finally {
+				reader.keepComments = true;
+			}
+			return atomNode(code.substring(start, reader.position), token.location);
+		}
+		var node = next();
+		var text = node.text;
+		if (text.startsWith(";;")) {
+			node.kind = 'comment';
+		} else if (token.macro !== undefined) {
+			node.kind  = 'list';
+			node.close = token.macro.close;
+			while (reader.peek() !== undefined && reader.peek().value !== node.close)
+				node.items.push(read());
+			if (reader.peek() === undefined)
+				throw new ParserError("Missing closing " + node.close, node.location);
+			node.endLine = next().endLine;
+			if (text === "(" && node.items.length !== 0 && node.items[0].text === 'reader:use')
+				reader.use(syntaxNames(node.items.slice(1)), node.location);
+		} else if (reader.table.closers.has(text)) {
+			throw new ParserError("Unexpected " + text, node.location);
+		} else {
+			var prefix = ReaderPrefixes.find(P => text.startsWith(P[0]));
+			if (prefix !== undefined) {
+				node.kind = 'prefix';
+				node.text = prefix[0];
+				if (text.length > prefix[0].length) {
+					// The rest of the token is the form quoted, on the same line
+					var location = node.location;
+					reader.unread(new Token(text.substr(prefix[0].length),
+						new SourceLocation(location.file, location.line, location.column + prefix[0].length)));
+					line = location.line;
+				}
+				if (reader.peek() === undefined)
+					throw new ParserError("Missing form after " + prefix[0], node.location);
+				node.items.push(read());
+				if (node.items[0].kind === 'comment')
+					throw new ParserError("Comment after " + prefix[0], node.items[0].location);
+				node.endLine = node.items[0].endLine;
+			}
+		}
+		return node;
+	};
+	var nodes = [];
+	while (reader.peek() !== undefined)
+		nodes.push(read());
+	return nodes;
+}
+// Layout of lists by head: the number of members kept on the first line,
+// whether the rest are each on their own line, and whether a single
+// remaining member may hang from the first line
+var FormatForms = {
+	'begin':          { keep: 1, lines: true,  hang: false },
+	'define':         { keep: 2, lines: false, hang: false },
+	'set!':           { keep: 2, lines: false, hang: false },
+	'if':             { keep: 2, lines: true,  hang: true },
+	'lambda':         { keep: 2, lines: true,  hang: true },
+	'macro':          { keep: 2, lines: true,  hang: true },
+	'hygienic-macro': { keep: 2, lines: true,  hang: true },
+};
+// Lists that may hang from the end of the line that opens them
+var FormatHanging = ['lambda', 'macro', 'hygienic-macro', 'begin'];
+var FormatWidth    = 100;
+var FormatTabWidth = 4;
+class TreePrinter {
+	constructor() {
+		this.out    = [];
+		this.line   = 0;
+		this.column = 0;
+	}
+	write(text) {
+		this.out.push(text);
+		var newline = text.lastIndexOf("\n");
+		if (newline === -1) {
+			this.column += text.length;
+		} else {
+			this.line  += text.split("\n").length - 1;
+			this.column = text.length - newline - 1;
+		}
+	}
+	newline(indent, blank) {
+		this.write((blank ? "\n\n" : "\n") + "\t".repeat(indent));
+		this.column = indent * FormatTabWidth;
+	}
+	fits(text) {
+		return this.column + text.length <= FormatWidth;
+	}
+	// The node on one line, or undefined if it must be broken
+	flat(node) {
+		switch (node.kind) {
+			case 'atom':
+				return (node.text.indexOf("\n") === -1) ? node.text : undefined;
+			case 'prefix':
+				var form = this.flat(node.items[0]);
+				return (form === undefined) ? undefined : node.text + form;
+			case 'list':
+				if (node.endLine !== node.location.line)
+					return undefined;
+				var items = node.items.map(N => this.flat(N));
+				if (items.some(I => I === undefined))
+					return undefined;
+				return node.text + items.join(" ") + node.close;
+		}
+		return undefined;
+	}
+	hangs(node) {
+		return node !== undefined && node.kind === 'list' && node.items.length !== 0 &&
+			node.items[0].kind === 'atom' && FormatHanging.indexOf(node.items[0].text) !== -1;
+	}
+	// Print a node on a line indented by indent
+	print(node, indent) {
+		if (node.kind === 'prefix') {
+			this.write(node.text);
+			return this.print(node.items[0], indent);
+		}
+		if (node.kind !== 'list')
+			return this.write(node.text);
+		var flat = this.flat(node);
+		if (flat !== undefined && this.fits(flat))
+			return this.write(flat);
+		var items = node.items;
+		var head  = (items.length !== 0 && items[0].kind === 'atom') ? items[0].text : undefined;
+		var form  = (node.text === "(" && FormatForms.hasOwnProperty(head)) ? FormatForms[head] : undefined;
+		var keep  = (form !== undefined) ? form.keep : (node.text === "(") ? 1 : 0;
+		var lines = (form !== undefined) && form.lines;
+		var last  = items.length - 1;
+		while (last >= 0 && items[last].kind === 'comment')
+			--last;
+		var open = this.line;
+		// A member broken over lines is indented further if it starts on the
+		// line that opens this list and more members follow it, so that its
+		// members are not mistaken for those of this list.
+		var member = i => this.print(items[i], (this.line === open && i < last) ? indent + 1 : indent);
+		this.write(node.text);
+		var i = 0;
+		// Members kept on the first line
+		for (; i < keep && i < items.length && items[i].kind !== 'comment'; ++i) {
+			if (i > 0) this.write(" ");
+			member(i);
+		}
+		if (form !== undefined && form.hang && i === keep && i === last && this.hangs(items[i])) {
+			this.write(" ");
+			member(i++);
+		}
+		// The rest each on their own line, or where they were in the source
+		for (; i < items.length; ++i) {
+			var item = items[i];
+			var itemFlat = this.flat(item);
+			if (item.kind === 'comment' && !item.newline) {
+				this.write(" ");
+				member(i);
+			} else if (lines || item.newline ||
+			           (itemFlat !== undefined && !this.fits((i === 0 ? "" : " ") + itemFlat))) {
+				this.newline(indent + 1, item.blank);
+				this.print(item, indent + 1);
+			} else {
+				if (i > 0) this.write(" ");
+				member(i);
+			}
+		}
+		if (last < items.length - 1)
+			this.newline(indent, false);
+		this.write(node.close);
+	}
+}
+// Format code, keeping its comments
+function Format (code, file) {
+	var nodes = ReadTree(code, file);
+	if (nodes.length === 0)
+		return "";
+	var printer = new TreePrinter();
+	nodes.forEach((node, i) => {
+		if (i === 0)
+			;
+		else if (node.kind === 'comment' && !node.newline)
+			printer.write(" ");
+		else
+			printer.newline(0, node.blank);
+		printer.print(node, 0);
+	});
+	return printer.out.join("") + "\n";
 }
 class Environment {
 	constructor(parent) {
-		this.members = {};
+		// No prototype, so names such as constructor are not inherited
+		this.members = Object.create(null);
 		this.parent  = parent;
 		Environment.Count++;
 	}
@@ -182,13 +700,14 @@ class Environment {
 		return false;
 	}
 	get(key, from) {
-		if(key.constructor === Symbol)
-			key = key.symbol;
-		if(key in this.members)
-			return this.members[key];
+		// The original key is passed up the chain so that a Symbol's
+		// location can be reported if it is not found
+		var name = (key.constructor === Symbol) ? key.symbol : key;
+		if(name in this.members)
+			return this.members[name];
 		if(this.parent !== undefined)
 			return this.parent.get(key, (from || this));
-		throw new KeyNotFoundError(key, from);
+		throw new KeyNotFoundError(key, (from || this));
 	};
 	dump(fromKey) {
 		var depth = 0;
@@ -213,8 +732,8 @@ class Environment {
 			depth--;
 			target = target.parent;
 		} while(target && target.parent);
-		console.error(lines.reverse().join("\n"));
-		if(fromKey) console.error("Key not found:", fromKey);
+		WriteErr(lines.reverse().join("\n"));
+		if(fromKey) WriteErr("Key not found:", fromKey);
 	}
 	define(key, value) {
 		if(key.constructor === Symbol)
@@ -230,13 +749,19 @@ class Environment {
 			return this.parent.set(key, value);
 		throw new KeyNotFoundError(key, this);
 	}
-	update(names, values) {
-		if(names.constructor === Symbol) {
-			names = [names.symbol];
-			values = [values];
+	// Bind values to an argument list, see ParameterList for the shapes
+	// supported. callee is the Lambda or Macro being called, used for
+	// evaluating defaults and in error messages. When lenient is true extra
+	// values are ignored, as JavaScript callers often pass more arguments.
+	update(names, values, callee, lenient) {
+		if(names.constructor === Symbol || typeof names === 'string') {
+			this.define(names, values);
+			return;
 		}
-		for(var i = 0; i < names.length; ++i)
-			this.define(names[i], values[i]);
+		// Kept on the callee, saving a lookup on every call
+		var spec = (callee !== undefined && callee.args === names) ?
+			(callee.params || (callee.params = ParameterList(names))) : ParameterList(names);
+		BindParameters(this, spec, values, callee, lenient);
 	}
 	keys() {
 		var keys = [];
@@ -251,20 +776,131 @@ class Environment {
 	}
 }
 Environment.Count = 0;
+
+// ===============================================
+// Argument lists
+//
+// Lambdas and macros accept the following argument list shapes:
+//   Args                    A single symbol captures all arguments as a list
+//   (A B)                   Fixed arguments
+//   (A &optional B (C 1))   Optional arguments, with an optional default
+//                           expression evaluated in the new environment
+//   (A . Rest) (A &rest Rest)
+//                           Remaining arguments are captured as a list
+//   (A (B C)) (A [B C]) (A {B C})
+//                           Destructure a list or tuple argument. Nested
+//                           argument lists support all the shapes above.
+// ===============================================
+var ParameterListCache = new WeakMap();
+function ParameterList (names) {
+	var spec = ParameterListCache.get(names);
+	if (spec !== undefined) return spec;
+	spec = { required: [], optional: [], rest: undefined, simple: true };
+	var optional = false;
+	for(var i = 0; i < names.length; ++i) {
+		var name = names[i];
+		var marker = (name && name.constructor === Symbol) ? name.symbol : undefined;
+		if (marker === '&optional') {
+			optional = true;
+			spec.simple = false;
+		} else if (marker === '&rest' || marker === '.') {
+			if (i !== names.length - 2 || !IsParameterName(names[i + 1]))
+				throw AnnotateError(new InvalidArgumentError(marker + " must be followed by exactly one name"), names);
+			spec.rest = names[++i];
+			spec.simple = false;
+		} else if (optional) {
+			// Name, or (Name Default)
+			if (name.constructor === Array)
+				spec.optional.push({ pattern: ParameterPattern(name[0]), init: name[1] });
+			else
+				spec.optional.push({ pattern: ParameterPattern(name), init: undefined });
+		} else {
+			var pattern = ParameterPattern(name);
+			if (!IsParameterName(pattern)) spec.simple = false;
+			spec.required.push(pattern);
+		}
+	}
+	ParameterListCache.set(names, spec);
+	return spec;
+}
+function IsParameterName (name) {
+	return typeof name === 'string' || (name !== undefined && name !== null && name.constructor === Symbol);
+}
+// A pattern is either a name, or a nested argument list to destructure
+function ParameterPattern (name) {
+	if (IsParameterName(name))
+		return name;
+	if (name === undefined || name === null || name.constructor !== Array)
+		throw AnnotateError(new InvalidArgumentError("Invalid argument name: " + to_string(name, true)), name);
+	var head = HeadName(name);
+	if (head === 'list' || head === 'tuple')
+		return { kind: head, spec: ParameterList(name.slice(1)) };
+	return { kind: 'list', spec: ParameterList(name) };
+}
+function BindParameters (env, spec, values, callee, lenient) {
+	var required = spec.required.length;
+	if (spec.simple && values.length === required) {
+		for(var i = 0; i < required; ++i)
+			env.define(spec.required[i], values[i]);
+		return;
+	}
+	var maximum = required + spec.optional.length;
+	if (values.length < required || (values.length > maximum && spec.rest === undefined && !lenient))
+		throw new ArityError(callee, spec, values.length);
+	for(var i = 0; i < required; ++i)
+		BindPattern(env, spec.required[i], values[i], callee);
+	for(var i = 0; i < spec.optional.length; ++i) {
+		var optional = spec.optional[i];
+		var value = (required + i < values.length) ? values[required + i] :
+			(optional.init === undefined) ? undefined :
+			((callee && callee.evaluator) || Eval)(optional.init, env);
+		BindPattern(env, optional.pattern, value, callee);
+	}
+	if (spec.rest !== undefined)
+		env.define(spec.rest, slice.call(values, maximum));
+}
+function BindPattern (env, pattern, value, callee) {
+	if (IsParameterName(pattern))
+		return env.define(pattern, value);
+	if (pattern.kind === 'tuple' && value !== undefined && value !== null && value.constructor === Tuple)
+		return BindParameters(env, pattern.spec, value.members, callee, false);
+	if (pattern.kind === 'list' && value !== undefined && value !== null && value.constructor === Array)
+		return BindParameters(env, pattern.spec, value, callee, false);
+	throw new InvalidArgumentError((CalleeName(callee) || "Argument list") + " cannot destructure " +
+		to_string(value, true) + " as a " + pattern.kind);
+}
+function CalleeName (callee) {
+	if (callee === undefined) return undefined;
+	return callee.name || (callee.constructor === Macro ? "#Macro" : "#Lambda");
+}
 class Lambda {
-	constructor(args, body, env, evaluator) {
+	constructor(args, body, env, evaluator, async) {
 		this.args = args;
 		this.body = body;
 		this.env  = env;
 		this.evaluator = evaluator || Eval;
+		this.interpreter = ActiveInterpreter; // that created this, and calls it from JavaScript
+		this.name = undefined; // set by define, used in stack traces
+		this.async = !!async;  // async lambdas return a Promise, and are never inlined
+		this.params = undefined; // ParameterList of args, when first called
 	}
 	toString() { return '#Lambda'; };
 }
 function MakeCallableLambda (lambda) {
 	var LambdaCalledFromJavaScript = function() {
-		var targetEnv = new Environment(lambda.env);
-		targetEnv.update(lambda.args, slice.call(arguments));
-		return lambda.evaluator(lambda.body, targetEnv);
+		if (lambda.interpreter !== ActiveInterpreter && lambda.interpreter !== undefined)
+			return lambda.interpreter.run(() => LambdaCalledFromJavaScript.apply(this, arguments));
+		var base = CallDepth;
+		EnterFrame(lambda, undefined, base);
+		try {
+			var targetEnv = new Environment(lambda.env);
+			targetEnv.update(lambda.args, slice.call(arguments), lambda, true);
+			return lambda.evaluator(lambda.body, targetEnv);
+		} catch (e) {
+			throw AttachLispyStack(e);
+		} finally {
+			CallDepth = base;
+		}
 	};
 	LambdaCalledFromJavaScript.lambda = lambda;
 	LambdaCalledFromJavaScript.__proto__ = Lambda;
@@ -278,12 +914,298 @@ class SpecialFunction {
 	toString() { return this.handler.toString(); }
 }
 class Macro {
-	constructor(args, body, env) {
+	constructor(args, body, env, hygienic) {
 		this.args = args;
 		this.body = body;
 		this.env  = env;
+		this.name = undefined;
+		this.hygienic = !!hygienic; // rename introduced variables when expanded
+		this.params = undefined;    // ParameterList of args, when first expanded
+	}
+}
+// Give a lambda or macro the name it was defined with, if it has none yet
+function NameCallable (value, name) {
+	if (typeof value === 'function' && value.__proto__ === Lambda) {
+		if (value.lambda.name === undefined)
+			value.lambda.name = to_s(name);
+	} else if (value && value.constructor === Macro) {
+		if (value.name === undefined)
+			value.name = to_s(name);
 	}
+	return value;
 }
+
+// ===============================================
+// Lispy call trail
+//
+// A lightweight record of the lambdas currently running, used to give
+// errors a Lispy stack trace. Each evaluation enters at most one frame;
+// a tail call replaces that frame and counts it as collapsed.
+// ===============================================
+class CallFrame {
+	constructor(lambda, form) {
+		this.lambda = lambda;
+		this.form   = form;   // the call form, or undefined if called from JavaScript
+		this.collapsed = 0;   // tail calls that replaced this frame
+	}
+	toString() {
+		var location = LocationOf(this.form) || LocationOf(this.lambda.body);
+		return "at " + (this.lambda.name || "#Lambda") +
+			(this.form === undefined ? " [called from JavaScript]" : "") +
+			(location ? " (" + location + ")" : "") +
+			(this.collapsed ? " [" + this.collapsed + " tail call(s) collapsed]" : "");
+	}
+}
+// The frames running are the first CallDepth of CallTrail. Leaving frames
+// only lowers CallDepth, the entries beyond it are overwritten later.
+var CallTrail = [];
+var CallDepth = 0;
+// Enter a frame for a call by the evaluation that began at depth base
+function EnterFrame (lambda, form, base) {
+	if (ActiveProfiler !== null)
+		ActiveProfiler.enter(lambda);
+	var frame = new CallFrame(lambda, form);
+	if (CallDepth > base) {
+		// Tail call: this evaluation already entered a frame, replace it
+		frame.collapsed = CallTrail[base].collapsed + 1;
+	}
+	CallTrail[base] = frame;
+	CallDepth = base + 1;
+}
+// Snapshot the call trail into the error, unless a deeper evaluation already has
+function AttachLispyStack (e) {
+	if (e instanceof Error && e.lispyStack === undefined) {
+		// Only the innermost frames are shown of a very deep trail
+		var first = Math.max(0, CallDepth - LispyStackLimit);
+		var frames = CallTrail.slice(first, CallDepth).map(F => "    " + F).reverse();
+		if (first > 0)
+			frames.push("    ... " + first + " more frame(s)");
+		e.lispyStack = "Lispy stack:\n" + frames.join("\n");
+	}
+	return e;
+}
+var LispyStackLimit = 100;
+
+// ===============================================
+// Profiler
+//
+// Counts calls to each lambda and native procedure, and samples the call
+// trail at the next call after each interval has passed. Each sample is
+// weighted by the time since the last one, which gives the exclusive time
+// of the innermost entry and the inclusive time of every entry on the
+// trail. Lambdas are identified by their body, so closures made by the
+// same lambda form are counted together.
+// ===============================================
+class ProfileEntry {
+	constructor(id, name, location, native) {
+		this.id       = id;
+		this.name     = name;
+		this.location = location; // SourceLocation, or undefined if unknown
+		this.native   = !!native; // a JavaScript procedure
+		this.calls    = 0;
+		this.self     = 0;        // exclusive time in ms
+		this.total    = 0;        // inclusive time in ms
+	}
+	toString() {
+		if (this.native) return this.name + " [native]";
+		return this.name + (this.location === undefined ? "" : " (" + this.location + ")");
+	}
+}
+class Profiler {
+	constructor(interval) {
+		this.interval = (interval === undefined) ? Profiler.Interval : interval;
+		this.entries  = new Map();  // lambda body or native procedure => ProfileEntry
+		this.natives  = [];         // running natives: {entry, depth}
+		this.samples  = [];         // {stack: [ProfileEntry], weight}
+		this.top      = new ProfileEntry(0, "(top level)", undefined);
+		this.started  = undefined;
+		this.last     = undefined;  // time of the last sample
+		this.elapsed  = 0;
+	}
+	start() {
+		this.started = this.last = performance.now();
+		ActiveProfiler = this;
+		return this;
+	}
+	stop() {
+		if (ActiveProfiler === this) {
+			this.sample(performance.now());
+			ActiveProfiler = null;
+		}
+		this.elapsed = this.last - this.started;
+		return this;
+	}
+	entry(key, name, location, native) {
+		var entry = this.entries.get(key);
+		if (entry === undefined) {
+			entry = new ProfileEntry(this.entries.size + 1, name, location, native);
+			this.entries.set(key, entry);
+		} else if (entry.name === "#Lambda" && name !== "#Lambda") {
+			entry.name = name;
+		}
+		return entry;
+	}
+	lambdaEntry(lambda) {
+		var key = (typeof lambda.body === 'object' && lambda.body !== null) ? lambda.body : lambda;
+		return this.entry(key, lambda.name || "#Lambda", LocationOf(lambda.body));
+	}
+	// Called before a lambda is entered
+	enter(lambda) {
+		this.tick();
+		this.lambdaEntry(lambda).calls++;
+	}
+	// Call a native procedure, recording its time as its own
+	callNative(proc, args) {
+		// Lambdas called as functions enter their own frame
+		if (proc.__proto__ === Lambda)
+			return proc(...args);
+		this.tick();
+		var entry = this.entries.get(proc) || this.entry(proc, NativeName(proc), undefined, true);
+		entry.calls++;
+		this.natives.push({ entry: entry, depth: CallDepth });
+		try {
+			return proc(...args);
+		} finally {
+			this.tick();
+			this.natives.pop();
+		}
+	}
+	tick() {
+		var now = performance.now();
+		if (now - this.last >= this.interval)
+			this.sample(now);
+	}
+	// The entries running now, outermost first
+	stack() {
+		var stack = [];
+		var native = 0;
+		var first = Math.max(0, CallDepth - Profiler.MaxStack);
+		for (var i = first; i <= CallDepth; ++i) {
+			while (native < this.natives.length && this.natives[native].depth <= i) {
+				if (this.natives[native].depth >= first)
+					stack.push(this.natives[native].entry);
+				++native;
+			}
+			if (i < CallDepth)
+				stack.push(this.lambdaEntry(CallTrail[i].lambda));
+		}
+		return stack;
+	}
+	sample(now) {
+		var weight = now - this.last;
+		this.last = now;
+		if (weight <= 0) return;
+		var stack = this.stack();
+		var top = stack.length ? stack[stack.length - 1] : this.top;
+		top.self += weight;
+		// Recursive entries count once towards inclusive time
+		new Set(stack.length ? stack : [this.top]).forEach(E => E.total += weight);
+		this.samples.push({ stack: stack, weight: weight });
+	}
+	// Entries with calls or time, by exclusive time then calls
+	results() {
+		return [this.top].concat(Array.from(this.entries.values()))
+			.filter(E => E.calls > 0 || E.total > 0)
+			.sort((a, b) => (b.self - a.self) || (b.calls - a.calls));
+	}
+	// A table of the entries, one per line
+	table(limit) {
+		var results = this.results();
+		var rows = results.slice(0, limit === undefined ? Profiler.TableRows : limit);
+		var ms = t => t.toFixed(1);
+		var pc = t => (this.elapsed > 0 ? 100 * t / this.elapsed : 0).toFixed(1) + "%";
+		var columns = [["Calls", "Self ms", "Self", "Total ms", "Total", "Name"]].concat(
+			rows.map(E => [String(E.calls), ms(E.self), pc(E.self), ms(E.total), pc(E.total), E.toString()]));
+		var widths = columns[0].map((_, i) => Math.max(...columns.map(C => C[i].length)));
+		var lines = columns.map(C => C.map((cell, i) =>
+			i === C.length - 1 ? cell : cell.padStart(widths[i])).join("  "));
+		lines.unshift("Profile of " + ms(this.elapsed) + "ms:");
+		if (results.length > rows.length)
+			lines.push("... " + (results.length - rows.length) + " more entries");
+		return lines.join("\n");
+	}
+	// Folded stacks, as used by flame graph tools, weighted in microseconds
+	folded() {
+		var weights = new Map();
+		this.samples.forEach(S => {
+			var key = ["(top level)"].concat(S.stack.map(E => E.toString().replace(/;/g, ":"))).join(";");
+			weights.set(key, (weights.get(key) || 0) + S.weight);
+		});
+		var lines = [];
+		weights.forEach((weight, key) => {
+			var us = Math.round(weight * 1000);
+			if (us > 0) lines.push(key + " " + us);
+		});
+		return lines.join("\n") + "\n";
+	}
+	// A Chrome DevTools .cpuprofile
+	cpuProfile() {
+		var nodes = [];
+		var node = (entry, location) => {
+			var created = {
+				id: nodes.length + 1,
+				callFrame: {
+					functionName: entry.name,
+					scriptId: "0",
+					url: location ? path.resolve(location.file || "<input>") : "",
+					lineNumber: location ? location.line - 1 : -1,
+					columnNumber: location ? location.column - 1 : -1
+				},
+				hitCount: 0,
+				children: [],
+				byEntry: new Map()
+			};
+			nodes.push(created);
+			return created;
+		};
+		var root = node({ name: "(root)" }, undefined);
+		var samples = [], timeDeltas = [];
+		this.samples.forEach(S => {
+			var current = root;
+			S.stack.forEach(E => {
+				var child = current.byEntry.get(E);
+				if (child === undefined) {
+					child = node(E, E.location);
+					current.byEntry.set(E, child);
+					current.children.push(child.id);
+				}
+				current = child;
+			});
+			current.hitCount++;
+			samples.push(current.id);
+			timeDeltas.push(Math.round(S.weight * 1000));
+		});
+		nodes.forEach(N => delete N.byEntry);
+		return {
+			nodes: nodes,
+			startTime: Math.round(this.started * 1000),
+			endTime: Math.round(this.last * 1000),
+			samples: samples,
+			timeDeltas: timeDeltas
+		};
+	}
+	// Write a .cpuprofile if file has that extension, otherwise folded stacks
+	write(file) {
+		if (path.extname(file) === ".cpuprofile")
+			fs.writeFileSync(file, JSON.stringify(this.cpuProfile()));
+		else
+			fs.writeFileSync(file, this.folded());
+	}
+}
+// The StdLib name of a native procedure, or its JavaScript name
+function NativeName (proc) {
+	for (var key in StdLib)
+		if (StdLib[key] === proc)
+			return key;
+	return proc.name || "#Native";
+}
+// Minimum time between samples, in ms
+Profiler.Interval = 1;
+// Innermost frames sampled of a deep call trail
+Profiler.MaxStack = 1000;
+// Entries shown by table
+Profiler.TableRows = 30;
+var ActiveProfiler = null;
 class Tuple {
 	constructor(members) {
 		this.members = members;
@@ -297,6 +1219,197 @@ class Tuple {
 	map() { return this.members.map(...arguments); }
 	forEach() { return this.members.forEach(...arguments); }
 }
+// ===============================================
+// Records
+//
+// A record type is a JavaScript class made by RecordType, whose instances
+// keep their fields as ordinary properties: from JavaScript, a record is
+// made with new Type(Field...) and its fields read as record.field.
+// defrecord (see core.lisp) defines the procedures made here for a type:
+// a constructor, a predicate, and an accessor and updater for each field.
+// Updaters give a copy of the record, leaving the original unchanged.
+// ===============================================
+class Record {
+	constructor(...values) {
+		this.constructor.fields.forEach((field, i) => this[field] = values[i]);
+	}
+	// The constructor call giving an equal record
+	toString() {
+		var type = this.constructor;
+		return "(" + [type.type.symbol + ":new"].concat(type.fields.map(F => to_string(this[F], true))).join(" ") + ")";
+	}
+}
+function RecordType (name, fields) {
+	name = to_s(name);
+	if (fields === undefined || fields === null || fields.constructor !== Array)
+		throw new InvalidArgumentError("Fields of record " + name + " must be a list");
+	fields = fields.map(F => to_s(F));
+	fields.forEach((field, i) => {
+		// Fields may not hide the methods records share
+		if (field in Record.prototype || fields.indexOf(field) !== i)
+			throw new InvalidArgumentError("Invalid field " + field + " of record " + name);
+	});
+	var type = ({ [name]: class extends Record {} })[name];
+	type.type   = new Symbol(name); // given by typeof
+	type.fields = fields;
+	return type;
+}
+function RecordProc (name, proc) {
+	Object.defineProperty(proc, 'name', { value: name });
+	return proc;
+}
+function IsRecordType (type) {
+	return typeof type === 'function' && type.prototype instanceof Record;
+}
+function RecordTypeCheck (type) {
+	if (!IsRecordType(type))
+		throw new InvalidArgumentError("Not a record type: " + to_string(type, true));
+	return type;
+}
+// The name of a field of a record type
+function RecordField (type, field) {
+	RecordTypeCheck(type);
+	field = to_s(field);
+	if (type.fields.indexOf(field) === -1)
+		throw new InvalidArgumentError("Record " + type.type.symbol + " has no field " + field);
+	return field;
+}
+function RecordCheck (proc, type, value) {
+	if (!(value instanceof type))
+		throw new InvalidArgumentError(proc.name + " expects a " + type.type.symbol + ", got " + to_string(value, true));
+	return value;
+}
+// (Type:new Field...)
+function RecordConstructor (type) {
+	RecordTypeCheck(type);
+	var spec = { required: type.fields, optional: [], rest: undefined };
+	var proc = RecordProc(type.type.symbol + ":new", function () {
+		if (arguments.length !== type.fields.length)
+			throw new ArityError(proc, spec, arguments.length);
+		return new type(...arguments);
+	});
+	return proc;
+}
+// (Type? Value)
+function RecordPredicate (type) {
+	RecordTypeCheck(type);
+	return RecordProc(type.type.symbol + "?", value => value instanceof type);
+}
+// (Type:Field Record)
+function RecordAccessor (type, field) {
+	field = RecordField(type, field);
+	var proc = RecordProc(type.type.symbol + ":" + field, record => RecordCheck(proc, type, record)[field]);
+	return proc;
+}
+// (Type:with-Field Record Value)
+function RecordUpdater (type, field) {
+	field = RecordField(type, field);
+	var proc = RecordProc(type.type.symbol + ":with-" + field, (record, value) => {
+		RecordCheck(proc, type, record);
+		var copy = new type(...type.fields.map(F => record[F]));
+		copy[field] = value;
+		return copy;
+	});
+	return proc;
+}
+// ===============================================
+// Numbers
+//
+// Numbers are JavaScript numbers, BigInts, or exact Rationals. Arithmetic
+// between plain numbers behaves exactly as in JavaScript. When a BigInt or
+// Rational is involved the result is exact, unless the other operand is a
+// non-integer number, in which case both are converted to numbers.
+// ===============================================
+class Rational {
+	// Use MakeRational to construct a normalised Rational
+	constructor(numerator, denominator) {
+		this.numerator   = numerator;
+		this.denominator = denominator;
+	}
+	toString() { return this.numerator + "/" + this.denominator; }
+	valueOf()  { return Number(this.numerator) / Number(this.denominator); }
+}
+var BigIntZero = BigInt(0), BigIntOne = BigInt(1);
+var IsSafeBigInt = n => n <= BigInt(Number.MAX_SAFE_INTEGER) && n >= BigInt(Number.MIN_SAFE_INTEGER);
+var IsRational   = x => x !== undefined && x !== null && x.constructor === Rational;
+var IsExact      = x => typeof x === 'bigint' || IsRational(x);
+var IsNumeric    = x => typeof x === 'number' || IsExact(x);
+function BigIntGcd (a, b) {
+	if (a < BigIntZero) a = -a;
+	if (b < BigIntZero) b = -b;
+	while (b !== BigIntZero) { var t = a % b; a = b; b = t; }
+	return a;
+}
+// Returns a BigInt if the denominator divides evenly
+function MakeRational (numerator, denominator) {
+	if (denominator === BigIntZero)
+		throw new RangeError("Division by zero");
+	if (denominator < BigIntZero) {
+		numerator = -numerator;
+		denominator = -denominator;
+	}
+	var divisor = BigIntGcd(numerator, denominator);
+	numerator /= divisor;
+	denominator /= divisor;
+	if (denominator === BigIntOne) return numerator;
+	return new Rational(numerator, denominator);
+}
+var RationalParts = x => IsRational(x) ? [x.numerator, x.denominator] : [x, BigIntOne];
+// Bring a and b to a common exact type, or to plain numbers if either is a float.
+// Returns undefined if either is not numeric.
+function NumericPair (a, b) {
+	if (!IsNumeric(a) || !IsNumeric(b)) return undefined;
+	if ((typeof a === 'number' && !Number.isInteger(a)) || (typeof b === 'number' && !Number.isInteger(b)))
+		return [Number(a), Number(b)];
+	return [typeof a === 'number' ? BigInt(a) : a, typeof b === 'number' ? BigInt(b) : b];
+}
+function NumericOp (op, a, b) {
+	var pair = NumericPair(a, b);
+	if (pair === undefined) {
+		// Exact numbers are concatenated as they print
+		if (op === '+') return (IsRational(a) ? String(a) : a) + (IsRational(b) ? String(b) : b);
+		return ops[op](Number(a), Number(b));
+	}
+	a = pair[0]; b = pair[1];
+	if (typeof a === 'number') return ops[op](a, b);
+	if (typeof a === 'bigint' && typeof b === 'bigint' && op !== '/')
+		return ops[op](a, b);
+	var x = RationalParts(a), y = RationalParts(b);
+	switch(op) {
+		case '+': return MakeRational(x[0] * y[1] + y[0] * x[1], x[1] * y[1]);
+		case '-': return MakeRational(x[0] * y[1] - y[0] * x[1], x[1] * y[1]);
+		case '*': return MakeRational(x[0] * y[0], x[1] * y[1]);
+		case '/': return MakeRational(x[0] * y[1], x[1] * y[0]);
+	}
+	throw new UnreachableError();
+}
+// Returns negative, zero or positive like a comparator, or NaN if unordered
+function NumericCompare (a, b) {
+	var pair = NumericPair(a, b);
+	if (pair === undefined || typeof pair[0] === 'number')
+		return (a < b) ? -1 : (a > b) ? 1 : (a <= b) ? 0 : NaN;
+	var x = RationalParts(pair[0]), y = RationalParts(pair[1]);
+	var d = x[0] * y[1] - y[0] * x[1];
+	return (d < BigIntZero) ? -1 : (d > BigIntZero) ? 1 : 0;
+}
+// Floored integer division and modulo: the remainder has the sign of the divisor
+function IntegerDivide (a, b) {
+	var pair = NumericPair(a, b);
+	if (pair === undefined) throw new InvalidArgumentError("div requires numbers");
+	if (typeof pair[0] === 'number') return Math.floor(pair[0] / pair[1]);
+	var x = RationalParts(pair[0]), y = RationalParts(pair[1]);
+	var n = x[0] * y[1], d = x[1] * y[0];
+	if (d === BigIntZero) throw new RangeError("Division by zero");
+	var q = n / d;
+	if ((n % d !== BigIntZero) && ((n < BigIntZero) !== (d < BigIntZero))) q -= BigIntOne;
+	return (typeof a === 'number' && typeof b === 'number') ? Number(q) : q;
+}
+function Modulo (a, b) {
+	if (typeof a === 'number' && typeof b === 'number')
+		return a - b * Math.floor(a / b);
+	return NumericOp('-', a, NumericOp('*', b, IntegerDivide(a, b)));
+}
+
 function inspect (obj, maxlength) {
 	return to_string(obj, true);//.substr(0, maxlength);
 	if (obj === undefined) return "'undefined";
@@ -312,114 +1425,1265 @@ function inspect (obj, maxlength) {
 var shortInspectLength = 20;
 var longInspectLength  = 40;
 function NormalEval (X, Env) {
+	var base = CallDepth;
+	try {
+		while(true) {
+			if(StepHook !== null)
+				StepHook.step();
+			if(debugMode)
+				WriteErr(depthStr() + "Eval(", inspect(X, shortInspectLength), ")");
+			if(X === undefined || X === null) return X;
+			if(X.constructor === Symbol) return Env.get(X);
+			if(X.constructor !== Array) return X;
+			var first = X[0];
+			if(first.constructor === Symbol)
+				first = first.symbol;
+			switch(first) {
+				case 'if': // (if Cond Conseq Alt=Nil)
+					var Alt = (X.length > 2) ? X[3] : null;
+					X = Eval(X[1], Env) ? X[2] : Alt;
+					continue; // tail recurse
+				case 'quote': // (quote Exp)
+					return X[1];
+				case 'quasiquote': // (quasiquote Template)
+					return QuasiQuote(X[1], Env, 1);
+				case 'define': // (define Name Value)
+					return Env.define(X[1], NameCallable(Eval(X[2], Env), X[1]));
+				case 'defined?': // (defined? Name)
+					return Env.present(X[1]);
+				case 'set!': // (set! Name Value) must exist
+					return Env.set(X[1], Eval(X[2], Env));
+				case 'async': // (async Args Body)
+					return AsyncLambda(X, Env);
+				case 'await': // (await Exp)
+					throw AnnotateError(new InvalidOperationError("await is only valid in async lambdas and async top level code"), X);
+				case 'lambda': // (lambda Args Body)
+					return MakeCallableLambda(new Lambda(X[1], X[2], Env, Eval));
+				case 'macro': // (macro Args Body)
+					return new Macro(X[1], X[2], Env);
+				case 'hygienic-macro': // (hygienic-macro Args Body)
+					return new Macro(X[1], X[2], Env, true);
+				case 'begin': // (begin Exps)
+					var Exps = X.slice(1);
+					while(Exps.length > 1)
+						Eval(Exps.shift(), Env);
+					X = Exps.shift();
+					continue; // tail recurse
+				case 'match': // (match Exp Clauses...)
+					var matched = MatchClauses(X, Eval(X[1], Env), Env, Eval);
+					Env = matched.env;
+					X = matched.body;
+					continue; // tail recurse
+				case 'try': // (try Operation ErrorHandler)
+					// ErrorHandler is not evaulated until an error is caught
+					try {
+						var result = Eval(X[1], Env);
+						// A rejected Promise is handled the same as a thrown error
+						if (result instanceof Promise)
+							return result.then(undefined, TryHandler(X, Env));
+						return result;
+					} catch (e) {
+						if (e instanceof ContinuationEscape) throw e;
+						var handler = TryHandler(X, Env);
+						if (handler.__proto__ === Lambda && !handler.lambda.async) {
+							EnterFrame(handler.lambda, X, base);
+							Env = new Environment(handler.lambda.env);
+							Env.update(handler.lambda.args, [e], handler.lambda);
+							X = handler.lambda.body;
+							continue; // tail recurse
+						} else {
+							return handler(e);
+						}
+					}
+					throw new UnreachableError();
+			}
+			var proc = Eval(X[0], Env);
+			var exps = X.slice(1);
+			if(proc.constructor === Macro) {
+				X = ExpandMacro(proc, X, Eval);
+				continue; // tail recurse
+			}
+			exps = exps.map(Y => Eval(Y, Env));
+			if(proc.constructor === SpecialFunction) {
+				return proc.handler(exps, Env);
+			} else if(typeof proc === 'function') {
+				if (proc.__proto__ === Lambda && !proc.lambda.async) {
+					EnterFrame(proc.lambda, X, base);
+					var newEnv = new Environment(proc.lambda.env);
+					newEnv.update(proc.lambda.args, exps, proc.lambda);
+					X = proc.lambda.body;
+					Env = newEnv;
+					continue; // tail recurse
+				} else {
+					if (ActiveProfiler !== null)
+						return ActiveProfiler.callNative(proc, exps);
+					return proc(...exps);
+				}
+			} else {
+				// Interepreted as a call to a member function
+				var method = to_s(exps[0]);
+				var args = exps.slice(1);
+				if(ActiveSandbox !== null)
+					return SandboxValue(proc[SandboxKey(method)](...args));
+				return proc[method](...args);
+			}
+		}
+	} catch (e) {
+		// Errors are reported at the innermost form being evaluated
+		throw AttachLispyStack(AnnotateError(StackOverflow(e), X));
+	} finally {
+		// Leave any frame entered by this evaluation
+		CallDepth = base;
+	}
+}
+// The name of the symbol at the head of a list, or undefined
+function HeadName (X) {
+	if (X === undefined || X === null || X.constructor !== Array || X.length === 0)
+		return undefined;
+	var first = X[0];
+	if (first !== undefined && first !== null && first.constructor === Symbol)
+		return first.symbol;
+	return (typeof first === 'string') ? first : undefined;
+}
+// Expand a quasiquote template. Unquoted parts are evaluated only at depth 1;
+// each nested quasiquote increases the depth, and each unquote decreases it.
+function QuasiQuote (X, Env, depth) {
+	if (X === undefined || X === null || X.constructor !== Array) return X;
+	var first = HeadName(X);
+	if (first === 'unquote' || first === 'unquote-splicing') {
+		if (depth > 1)
+			return SetLocation([X[0], QuasiQuote(X[1], Env, depth - 1)], X.location);
+		if (first === 'unquote-splicing')
+			throw AnnotateError(new InvalidOperationError("unquote-splicing used outside of a list"), X);
+		return Eval(X[1], Env);
+	}
+	if (first === 'quasiquote')
+		return SetLocation([X[0], QuasiQuote(X[1], Env, depth + 1)], X.location);
+	var result = [];
+	X.forEach(Y => {
+		if (depth === 1 && HeadName(Y) === 'unquote-splicing') {
+			var spliced = Eval(Y[1], Env);
+			if (spliced !== undefined && spliced !== null)
+				result.push(...(spliced.constructor === Tuple ? spliced.members : spliced));
+		} else
+			result.push(QuasiQuote(Y, Env, depth));
+	});
+	return SetLocation(result, X.location);
+}
+// Record the location of the form X in the error, if it does not already
+// have one. The innermost location is kept as errors propagate outwards.
+// The message is left alone, and the location only added when printed.
+function AnnotateError (e, X) {
+	var location = LocationOf(X);
+	if (e instanceof Error && e.location === undefined && location !== undefined)
+		e.location = location;
+	return e;
+}
+// ===============================================
+// Pattern matching
+//
+// (match Exp (Pattern Body) (Pattern when Guard Body)...)
+// evaluates Exp and then the Body of the first clause whose Pattern
+// matches it (and whose Guard is true), in a new Environment holding the
+// variables bound by the Pattern. Patterns are:
+//   _                  matches anything
+//   Name               matches anything, binding it to Name
+//   nil undefined true false, numbers and strings match themselves
+//   'Symbol 'List      match equal symbols and lists
+//   [P...] {P...}      match lists and Tuples of the same length, or
+//                      [P... &rest Name] for a list of at least that length
+//   (dict Key P...)    matches objects with those keys, whose values match
+// ===============================================
+var MatchLiterals = ['nil', 'undefined', 'true', 'false'];
+function IsSymbolNamed (X, name) {
+	return X !== undefined && X !== null && X.constructor === Symbol && X.symbol === name;
+}
+// Returns the environment for the body of the matching clause of X, and the body
+function MatchClauses (X, value, Env, evaluator) {
+	for(var i = 2; i < X.length; ++i) {
+		var clause = X[i];
+		if (clause === undefined || clause === null || clause.constructor !== Array ||
+		    !(clause.length === 2 || (clause.length === 4 && IsSymbolNamed(clause[1], 'when'))))
+			throw AnnotateError(new InvalidArgumentError("match clause must be (Pattern Body) or (Pattern when Guard Body)"), clause);
+		var env = new Environment(Env);
+		if (!MatchPattern(clause[0], value, env))
+			continue;
+		if (clause.length === 4 && !evaluator(clause[2], env))
+			continue;
+		return { env: env, body: clause[clause.length - 1] };
+	}
+	throw AnnotateError(new MatchError(value), X);
+}
+function MatchPattern (pattern, value, env) {
+	if (pattern !== undefined && pattern !== null && pattern.constructor === Symbol) {
+		var name = pattern.symbol;
+		if (name === '_')
+			return true;
+		if (MatchLiterals.indexOf(name) !== -1)
+			return value === StdLib[name];
+		env.define(pattern, value);
+		return true;
+	}
+	if (pattern === undefined || pattern === null || pattern.constructor !== Array)
+		return MatchLiteral(pattern, value);
+	switch (HeadName(pattern)) {
+		case 'quote':
+			return MatchLiteral(pattern[1], value);
+		case 'list':
+			return value !== undefined && value !== null && value.constructor === Array &&
+				MatchSequence(pattern.slice(1), value, env);
+		case 'tuple':
+			return value !== undefined && value !== null && value.constructor === Tuple &&
+				MatchSequence(pattern.slice(1), value.members, env);
+		case 'dict':
+			if (value === undefined || value === null || typeof value !== 'object')
+				return false;
+			for(var i = 1; i < pattern.length; i += 2) {
+				var key = to_s(pattern[i]);
+				if (HeadName(pattern[i]) === 'quote')
+					key = to_s(pattern[i][1]);
+				if (!(key in value) || !MatchPattern(pattern[i + 1], value[key], env))
+					return false;
+			}
+			return true;
+	}
+	throw AnnotateError(new InvalidArgumentError("Invalid match pattern: " + to_string(pattern, true)), pattern);
+}
+function MatchSequence (patterns, values, env) {
+	var rest = patterns.findIndex(P => IsSymbolNamed(P, '&rest'));
+	var fixed = (rest === -1) ? patterns : patterns.slice(0, rest);
+	if (rest === -1 ? values.length !== fixed.length : values.length < fixed.length)
+		return false;
+	for(var i = 0; i < fixed.length; ++i)
+		if (!MatchPattern(fixed[i], values[i], env))
+			return false;
+	return rest === -1 || MatchPattern(patterns[rest + 1], slice.call(values, fixed.length), env);
+}
+// Compare against a literal pattern: numbers by value, symbols by name,
+// lists by their members and anything else by identity
+function MatchLiteral (pattern, value) {
+	if (IsNumeric(pattern))
+		return IsNumeric(value) && NumericCompare(pattern, value) === 0;
+	if (pattern !== undefined && pattern !== null && pattern.constructor === Symbol)
+		return value !== undefined && value !== null && value.constructor === Symbol && value.symbol === pattern.symbol;
+	if (pattern !== undefined && pattern !== null && pattern.constructor === Array)
+		return value !== undefined && value !== null && value.constructor === Array &&
+			value.length === pattern.length && pattern.every((P, i) => MatchLiteral(P, value[i]));
+	return pattern === value;
+}
+// ===============================================
+// Macro expansion
+//
+// A call to a macro is replaced by the result of evaluating the macro body,
+// with the macro arguments bound to the unevaluated arguments of the call.
+//
+// Hygienic macros also rename the variables that the expansion introduces,
+// so that they can not capture or overwrite the caller's variables. A
+// variable is introduced if the macro body, rather than the arguments of
+// the call, gives its name in a define or the argument list of a lambda.
+// ===============================================
+// Shared by all interpreters, so that their gensyms do not clash either
+var GensymCounter = 0;
+// A Symbol that the reader will not produce, named after prefix: it
+// refuses symbols starting #:
+function Gensym (prefix) {
+	return new Symbol("#:" + (prefix === undefined ? "G" : to_s(prefix)) + (++GensymCounter));
+}
+// Evaluate the body of macro proc for the call X
+function ExpandMacro (proc, X, evaluator) {
+	var newEnv = new Environment(proc.env);
+	newEnv.update(proc.args, X.slice(1), proc);
+	return FinishExpansion(proc, evaluator(proc.body, newEnv), X);
+}
+function FinishExpansion (proc, expansion, X) {
+	if (proc.hygienic)
+		expansion = Hygienate(expansion, X.slice(1));
+	// Generated code is reported at the location of the macro call
+	if(expansion && expansion.constructor === Array && !expansion.location)
+		SetLocation(expansion, X.location);
+	return expansion;
+}
+// Expand X while it is a call to a macro, or only once unless all
+function MacroExpand (X, Env, all) {
+	do {
+		var head = (X !== undefined && X !== null && X.constructor === Array) ? X[0] : undefined;
+		if (head === undefined || head === null || head.constructor !== Symbol || !Env.present(head))
+			return X;
+		var proc = Env.get(head);
+		if (proc === undefined || proc === null || proc.constructor !== Macro)
+			return X;
+		X = ExpandMacro(proc, X, Eval);
+	} while (all);
+	return X;
+}
+// Rename the variables introduced by expansion that do not come from args
+function Hygienate (expansion, args) {
+	var given = new Set();
+	var collect = Y => {
+		if (Y !== undefined && Y !== null && typeof Y === 'object' && !given.has(Y)) {
+			given.add(Y);
+			if (Y.constructor === Array) Y.forEach(collect);
+		}
+	};
+	args.forEach(collect);
+	var introduced = Y => Y !== undefined && Y !== null && Y.constructor === Symbol && !given.has(Y);
+	var renames = new Map();
+	var rename = name => {
+		if (introduced(name) && !renames.has(name.symbol) && !IsSymbolNamed(name, '&optional') &&
+		    !IsSymbolNamed(name, '&rest') && !IsSymbolNamed(name, '.'))
+			renames.set(name.symbol, Gensym(name.symbol));
+	};
+	var parameters = P => {
+		if (P !== undefined && P !== null && P.constructor === Array && !given.has(P)) {
+			// Skip the head of destructuring lists and the defaults of optionals
+			var start = (HeadName(P) === 'list' || HeadName(P) === 'tuple') ? 1 : 0;
+			P.slice(start).forEach(Q =>
+				(Q && Q.constructor === Array && !given.has(Q) && Q.length === 2 && IsParameterName(Q[0])) ?
+					rename(Q[0]) : parameters(Q));
+		} else
+			rename(P);
+	};
+	var bindings = Y => {
+		if (Y === undefined || Y === null || Y.constructor !== Array || given.has(Y))
+			return;
+		switch (HeadName(Y)) {
+			case 'quote': return;
+			case 'define': rename(Y[1]); break;
+			case 'lambda': case 'async': case 'macro': case 'hygienic-macro':
+				parameters(Y[1]); break;
+		}
+		Y.forEach(bindings);
+	};
+	bindings(expansion);
+	if (renames.size === 0)
+		return expansion;
+	var replace = Y => {
+		if (introduced(Y))
+			return renames.get(Y.symbol) || Y;
+		if (Y === undefined || Y === null || Y.constructor !== Array || given.has(Y) || HeadName(Y) === 'quote')
+			return Y;
+		return SetLocation(Y.map(replace), Y.location);
+	};
+	return replace(expansion);
+}
+function depthStr () {
+	var str = "";
+	if (depth < 20)
+		str = "=".repeat(depth - 1) + " | ";
+	else
+		str = "=                " + depth + " | ";
+	return str;
+}
+function DebugEval (X, Env) {
+	depth++;
+	var result;
+	try {
+		result = BaseEval(X, Env);
+	} catch (e) {
+		depth--;
+		throw e;
+	}
+	WriteErr(depthStr() + "Eval(", inspect(X, shortInspectLength), "):",  inspect(result, longInspectLength));
+	depth--;
+	return result;
+}
+// Evaluate the handler of a (try Operation ErrorHandler) form
+function TryHandler (X, Env) {
+	var handler = Eval(X[2], Env);
+	if (typeof handler !== 'function') {
+		WriteErr("Handler:", handler);
+		throw AnnotateError(new InvalidArgumentError('try requires a function/lambda for exception handler'), X);
+	}
+	return handler;
+}
+
+// ===============================================
+// Async evaluation
+//
+// AsyncEval evaluates the body of async lambdas and async top level code,
+// and always returns a Promise. Only forms that contain an (await Exp) are
+// evaluated asynchronously, everything else is passed to Eval. await may
+// be used in if, begin, define, set!, try and in the arguments of a call.
+// ===============================================
+var AwaitCache = new WeakMap();
+// Does evaluating X involve an await? Lambda and macro bodies are not
+// included, as they are evaluated when called.
+function ContainsAwait (X) {
+	if (X === undefined || X === null || X.constructor !== Array) return false;
+	var cached = AwaitCache.get(X);
+	if (cached !== undefined) return cached;
+	var result;
+	switch(HeadName(X)) {
+		case 'await': result = true; break;
+		case 'quote': case 'quasiquote': case 'lambda': case 'macro': case 'hygienic-macro': case 'async':
+			result = false; break;
+		default: result = X.some(ContainsAwait);
+	}
+	AwaitCache.set(X, result);
+	return result;
+}
+// Create the lambda of (async Args Body). Code after an await resumes once
+// Sandbox.eval has returned, outside the sandbox's limits, so sandboxed code
+// may not create async lambdas.
+function AsyncLambda (X, Env) {
+	if (ActiveSandbox !== null)
+		throw AnnotateError(new InvalidOperationError("async is not permitted in a sandbox"), X);
+	return MakeCallableLambda(new Lambda(X[1], X[2], Env, AsyncEval, true));
+}
+// Evaluate X, returning a Promise of its value. The evaluation is a
+// generator that yields at each await, and is resumed in the interpreter
+// that started it.
+function AsyncEval (X, Env) {
+	var interpreter = ActiveInterpreter;
+	var steps = AsyncSteps(X, Env);
+	return new Promise((resolve, reject) => {
+		var resume = (method, value) => {
+			try {
+				var next = interpreter.run(() => steps[method](value));
+			} catch (e) {
+				return reject(e);
+			}
+			if (next.done)
+				return resolve(next.value);
+			Promise.resolve(next.value).then(
+				value => resume('next', value),
+				error => resume('throw', error));
+		};
+		resume('next', undefined);
+	});
+}
+// The value of X once any Promise it gives has settled, as (await X)
+function* AsyncValue (X, Env) {
+	return yield (yield* AsyncSteps(X, Env));
+}
+function* AsyncSteps (X, Env) {
 	while(true) {
-		if(debugMode)
-			console.error(depthStr() + "Eval(", inspect(X, shortInspectLength), ")");
-		if(X === undefined || X === null) return X;
-		if(X.constructor === Symbol) return Env.get(X.symbol);
-		if(X.constructor !== Array) return X;
-		var first = X[0];
-		if(first.constructor === Symbol)
-			first = first.symbol;
-		switch(first) {
+		if(!ContainsAwait(X)) return Eval(X, Env);
+		switch(HeadName(X)) {
+			case 'await': // (await Exp)
+				return yield* AsyncValue(X[1], Env);
 			case 'if': // (if Cond Conseq Alt=Nil)
-				var Alt = (X.length > 2) ? X[3] : null;
-				X = Eval(X[1], Env) ? X[2] : Alt;
+				var Alt = (X.length > 3) ? X[3] : null;
+				X = (yield* AsyncValue(X[1], Env)) ? X[2] : Alt;
 				continue; // tail recurse
-			case 'quote': // (quote Exp)
-				return X[1];
 			case 'define': // (define Name Value)
-				return Env.define(X[1], Eval(X[2], Env));
-			case 'defined?': // (defined? Name)
-				return Env.present(X[1]);
-			case 'set!': // (set! Name Value) must exist
-				return Env.set(X[1], Eval(X[2], Env));
-			case 'lambda': // (lambda Args Body)
-				return MakeCallableLambda(new Lambda(X[1], X[2], Env, Eval));
-			case 'macro': // (macro Args Body)
-				return new Macro(X[1], X[2], Env);
+				return Env.define(X[1], NameCallable(yield* AsyncValue(X[2], Env), X[1]));
+			case 'set!': // (set! Name Value)
+				return Env.set(X[1], yield* AsyncValue(X[2], Env));
 			case 'begin': // (begin Exps)
-				var Exps = X.slice(1);
-				while(Exps.length > 1)
-					Eval(Exps.shift(), Env);
-				X = Exps.shift();
+				for(var i = 1; i < X.length - 1; ++i)
+					yield* AsyncValue(X[i], Env);
+				X = X[X.length - 1];
+				continue; // tail recurse
+			case 'match': // (match Exp Clauses...)
+				var matched = MatchClauses(X, yield* AsyncValue(X[1], Env), Env, Eval);
+				Env = matched.env;
+				X = matched.body;
 				continue; // tail recurse
 			case 'try': // (try Operation ErrorHandler)
-				// ErrorHandler is not evaulated until an error is caught
 				try {
-					return Eval(X[1], Env);
+					return yield* AsyncValue(X[1], Env);
 				} catch (e) {
-					var handler = Eval(X[2], Env);
-					if (typeof handler !== 'function') {
-						console.error("Handler:", handler);
-						throw new InvalidArgumentError('try requires a function/lambda for exception handler');
-					}
-					if (handler.__proto__ === Lambda) {
-						Env = new Environment(handler.lambda.env);
-						Env.update(handler.lambda.args, [e]);
-						X = handler.lambda.body;
-						continue; // tail recurse
-					} else {
-						return handler(e);
-					}
+					if (e instanceof ContinuationEscape) throw e;
+					return TryHandler(X, Env)(e);
 				}
-				throw new UnreachableError();
 		}
-		var proc = Eval(X[0], Env);
-		var exps = X.slice(1);
+		var proc = yield* AsyncValue(X[0], Env);
 		if(proc.constructor === Macro) {
-			var newEnv = new Environment(proc.env);
-			newEnv.update(proc.args, exps);
-			X = Eval(proc.body, newEnv);
+			X = ExpandMacro(proc, X, Eval);
+			continue; // tail recurse
+		}
+		var exps = [];
+		for(var i = 1; i < X.length; ++i)
+			exps.push(yield* AsyncValue(X[i], Env));
+		if(proc.constructor === SpecialFunction)
+			return proc.handler(exps, Env);
+		if(typeof proc !== 'function') {
+			// Interepreted as a call to a member function
+			var method = to_s(exps[0]);
+			if(ActiveSandbox !== null)
+				return SandboxValue(proc[SandboxKey(method)](...exps.slice(1)));
+			return proc[method](...exps.slice(1));
+		}
+		if(proc.__proto__ === Lambda && !proc.lambda.async) {
+			var newEnv = new Environment(proc.lambda.env);
+			newEnv.update(proc.lambda.args, exps, proc.lambda);
+			X = proc.lambda.body;
+			Env = newEnv;
 			continue; // tail recurse
 		}
-		exps = exps.map(Y => Eval(Y, Env));
-		if(proc.constructor === SpecialFunction) {
-			return proc.handler(exps, Env);
-		} else if(typeof proc === 'function') {
-			if (proc.__proto__ === Lambda) {
-				var newEnv = new Environment(proc.lambda.env);
-				newEnv.update(proc.lambda.args, exps);
-				X = proc.lambda.body;
-				Env = newEnv;
-				continue; // tail recurse
-			} else {
-				return proc(...exps);
-			}
-		} else {
-			// Interepreted as a call to a member function
-			var method = to_s(exps[0]);
-			var args = exps.slice(1);
-			return proc[method](...args);
+		return proc(...exps);
+	}
+}
+
+// ===============================================
+// Compiling evaluator
+//
+// CompiledEval analyses a form once into a tree of JavaScript closures,
+// each taking the Environment to run in. Special forms are resolved at
+// compile time, and calls to StdLib operators with constant arguments are
+// folded (if the operators have not been redefined when first run). Compiled
+// forms are cached, so lambda bodies are only compiled once, and a macro call
+// is expanded again only if the macro it calls changes.
+//
+// Closures compiled in tail position return a TailCall rather than
+// calling a lambda, which RunLambda then runs in a loop.
+// ===============================================
+class TailCall {
+	constructor(lambda, args, form) {
+		this.lambda = lambda;
+		this.args   = args;
+		this.form   = form;
+	}
+}
+var CompileCache = new WeakMap();
+var TailCompileCache = new WeakMap();
+function Compile (X, tail) {
+	if (X === undefined || X === null) return () => X;
+	if (X.constructor === Symbol) return Env => Env.get(X);
+	if (X.constructor !== Array) return () => X;
+	var cache = tail ? TailCompileCache : CompileCache;
+	var compiled = cache.get(X);
+	if (compiled === undefined) {
+		compiled = CompileForm(X, tail);
+		cache.set(X, compiled);
+	}
+	return compiled;
+}
+function CompileForm (X, tail) {
+	switch(HeadName(X)) {
+		case 'if': // (if Cond Conseq Alt=Nil)
+			var cond = Compile(X[1], false), conseq = Compile(X[2], tail), alt = Compile(X[3], tail);
+			return Env => cond(Env) ? conseq(Env) : alt(Env);
+		case 'quote': // (quote Exp)
+			var quoted = X[1];
+			return () => quoted;
+		case 'quasiquote': // (quasiquote Template)
+			return Env => QuasiQuote(X[1], Env, 1);
+		case 'define': // (define Name Value)
+			var value = Compile(X[2], false);
+			return Env => Env.define(X[1], NameCallable(value(Env), X[1]));
+		case 'defined?': // (defined? Name)
+			return Env => Env.present(X[1]);
+		case 'set!': // (set! Name Value) must exist
+			var value = Compile(X[2], false);
+			return Env => Env.set(X[1], value(Env));
+		case 'async': // (async Args Body)
+			return Env => AsyncLambda(X, Env);
+		case 'await': // (await Exp)
+			return () => {
+				throw AnnotateError(new InvalidOperationError("await is only valid in async lambdas and async top level code"), X);
+			};
+		case 'lambda': // (lambda Args Body)
+			return Env => MakeCallableLambda(new Lambda(X[1], X[2], Env, CompiledEval));
+		case 'macro': // (macro Args Body)
+			return Env => new Macro(X[1], X[2], Env);
+		case 'hygienic-macro': // (hygienic-macro Args Body)
+			return Env => new Macro(X[1], X[2], Env, true);
+		case 'begin': // (begin Exps)
+			var exps = X.slice(1).map((Y, i, all) => Compile(Y, tail && i === all.length - 1));
+			var last = exps.pop() || Compile(undefined);
+			return Env => {
+				for(var i = 0; i < exps.length; ++i)
+					exps[i](Env);
+				return last(Env);
+			};
+		case 'match': // (match Exp Clauses...)
+			var value = Compile(X[1], false);
+			return Env => {
+				var matched = MatchClauses(X, value(Env), Env, CompiledEval);
+				return Compile(matched.body, tail)(matched.env);
+			};
+		case 'try': // (try Operation ErrorHandler)
+			var operation = Compile(X[1], false);
+			return Env => {
+				try {
+					var result = operation(Env);
+					// A rejected Promise is handled the same as a thrown error
+					if (result instanceof Promise)
+						return result.then(undefined, TryHandler(X, Env));
+					return result;
+				} catch (e) {
+					if (e instanceof ContinuationEscape) throw e;
+					return Apply(TryHandler(X, Env), [e], X, Env, tail);
+				}
+			};
+	}
+	return CompileCall(X, tail);
+}
+function CompileCall (X, tail) {
+	var head = Compile(X[0], false);
+	var args = X.slice(1).map(Y => Compile(Y, false));
+	var macro = undefined, expansion = undefined; // the last macro called here
+	var call = Env => {
+		try {
+			if(StepHook !== null)
+				StepHook.step();
+			var proc = head(Env);
+			if(proc.constructor === Macro) {
+				if(proc !== macro) {
+					expansion = Compile(ExpandMacro(proc, X, CompiledEval), tail);
+					macro = proc;
+				}
+				return expansion(Env);
+			}
+			var exps = new Array(args.length);
+			for(var i = 0; i < args.length; ++i)
+				exps[i] = args[i](Env);
+			return Apply(proc, exps, X, Env, tail);
+		} catch (e) {
+			throw AnnotateError(e, X);
+		}
+	};
+	var folded = ConstantFold(X);
+	if (folded === undefined)
+		return call;
+	var value = folded.value, ops = folded.ops;
+	var run = Env => {
+		run = ops.every(op => Env.get(op) === StdLib[op]) ? () => value : call;
+		return run(Env);
+	};
+	return Env => run(Env);
+}
+// Call proc with evaluated arguments. In tail position a TailCall is
+// returned for lambdas instead.
+function Apply (proc, exps, X, Env, tail) {
+	if(proc.constructor === SpecialFunction)
+		return proc.handler(exps, Env);
+	if(typeof proc === 'function') {
+		if(proc.__proto__ === Lambda && !proc.lambda.async)
+			return tail ? new TailCall(proc.lambda, exps, X) : RunLambda(proc.lambda, exps, X);
+		if(ActiveProfiler !== null)
+			return ActiveProfiler.callNative(proc, exps);
+		return proc(...exps);
+	}
+	// Interepreted as a call to a member function
+	var method = to_s(exps[0]);
+	if(ActiveSandbox !== null)
+		return SandboxValue(proc[SandboxKey(method)](...exps.slice(1)));
+	return proc[method](...exps.slice(1));
+}
+function RunLambda (lambda, args, form) {
+	var base = CallDepth;
+	try {
+		var call = new TailCall(lambda, args, form);
+		do {
+			if(StepHook !== null)
+				StepHook.step();
+			lambda = call.lambda;
+			EnterFrame(lambda, call.form, base);
+			var env = new Environment(lambda.env);
+			env.update(lambda.args, call.args, lambda);
+			if (lambda.compiled === undefined)
+				lambda.compiled = Compile(lambda.body, true);
+			call = lambda.compiled(env);
+		} while (call instanceof TailCall);
+		return call;
+	} catch (e) {
+		throw AttachLispyStack(StackOverflow(e));
+	} finally {
+		CallDepth = base;
+	}
+}
+function CompiledEval (X, Env) {
+	try {
+		var result = Compile(X, true)(Env);
+		if (result instanceof TailCall)
+			return RunLambda(result.lambda, result.args, result.form);
+		return result;
+	} catch (e) {
+		throw AttachLispyStack(e);
+	}
+}
+// StdLib operators without side effects, which may be folded at compile time
+var FoldableOps = ['+', '-', '*', '/', 'div', 'mod', '<', '<=', '>', '>=', '=', '!=', 'not'];
+// If X is a constant expression, returns its value and the operators used
+function ConstantFold (X) {
+	if (typeof X === 'number' || typeof X === 'string' || typeof X === 'bigint' || IsRational(X))
+		return { value: X, ops: [] };
+	var name = HeadName(X);
+	if (FoldableOps.indexOf(name) === -1 || X[0].constructor !== Symbol)
+		return undefined;
+	var args = [], ops = [name];
+	for(var i = 1; i < X.length; ++i) {
+		var folded = ConstantFold(X[i]);
+		if (folded === undefined) return undefined;
+		args.push(folded.value);
+		folded.ops.forEach(op => { if (ops.indexOf(op) === -1) ops.push(op); });
+	}
+	try {
+		return { value: StdLib[name](...args), ops: ops };
+	} catch (e) {
+		// Leave errors to be thrown at run time
+		return undefined;
+	}
+}
+
+// ===============================================
+// Stack evaluator
+//
+// StackEval keeps its continuations in a StackMachine on the heap instead
+// of recursing on the JavaScript stack, so non-tail recursion is limited
+// by memory rather than by the size of the JavaScript stack. Each frame
+// on the stack is a plain object describing what to do with the value of
+// the form being evaluated, in the same way that dyneval.lisp returns
+// {'continue Body Env} tuples.
+//
+// Native functions that call back into Lispy (map, each and so on) still
+// use the JavaScript stack for that call.
+//
+// As its state is all on the heap, a StackMachine can also be suspended
+// part way through, which is how generators are implemented.
+// ===============================================
+class StackMachine {
+	constructor(X, Env) {
+		this.stack = [];      // continuation frames, innermost last
+		this.X     = X;       // form to evaluate, when evaluating
+		this.Env   = Env;
+		this.value = undefined; // value to return, when not evaluating
+		this.evaluating = true;
+		this.form  = X;       // innermost form, used to locate errors
+		this.generator = undefined; // the Generator running this machine, if any
+		this.debugger  = undefined; // the Debugger that may pause this machine
+		this.lastLine  = undefined; // source line of the last form, for the Debugger
+		this.suspended = false;
+		this.trail = [];      // call trail entered by this machine while suspended
+		this.base  = 0;       // CallDepth when run
+	}
+	// Run until the stack is empty and return the final value, or until
+	// suspended by yield and return the value yielded, or paused by the
+	// debugger.
+	run() {
+		this.base = CallDepth;
+		this.trail.forEach(F => CallTrail[CallDepth++] = F);
+		this.suspended = false;
+		try {
+			while(!this.suspended) {
+				try {
+					if(this.evaluating)
+						this.evaluate(this.X, this.Env);
+					else if(this.stack.length === 0)
+						return this.value;
+					else
+						this.resume(this.stack.pop(), this.value);
+				} catch (e) {
+					this.handle(e);
+				}
+			}
+			this.trail = CallTrail.slice(this.base, CallDepth);
+			return this.value;
+		} finally {
+			CallDepth = this.base;
+		}
+	}
+	// Depth of the call trail within this machine, which frames record so
+	// that it can be restored when resumed at a different depth.
+	depth() {
+		return CallDepth - this.base;
+	}
+	// Evaluate X next, in Env
+	next(X, Env) {
+		this.X = X;
+		this.Env = Env;
+		this.evaluating = true;
+	}
+	// Return value to the frame on top of the stack
+	give(value) {
+		this.value = value;
+		this.evaluating = false;
+	}
+	// Evaluate X, after which the frame will receive its value
+	push(frame, X, Env) {
+		this.stack.push(frame);
+		this.next(X, Env);
+	}
+	evaluate(X, Env) {
+		if(StepHook !== null)
+			StepHook.step();
+		if(debugMode)
+			WriteErr("Eval(", inspect(X, shortInspectLength), ")");
+		if(X === undefined || X === null) return this.give(X);
+		if(X.constructor === Symbol) return this.give(Env.get(X));
+		if(X.constructor !== Array) return this.give(X);
+		if(this.debugger !== undefined && this.debugger.pauseAt(this, X)) {
+			// Evaluate X when run again
+			this.suspended = true;
+			return;
+		}
+		this.form = X;
+		switch(HeadName(X)) {
+			case 'if': // (if Cond Conseq Alt=Nil)
+				return this.push({ kind: 'if', X: X, Env: Env }, X[1], Env);
+			case 'quote': // (quote Exp)
+				return this.give(X[1]);
+			case 'quasiquote': // (quasiquote Template)
+				return this.give(QuasiQuote(X[1], Env, 1));
+			case 'define': // (define Name Value)
+				return this.push({ kind: 'define', X: X, Env: Env }, X[2], Env);
+			case 'defined?': // (defined? Name)
+				return this.give(Env.present(X[1]));
+			case 'set!': // (set! Name Value) must exist
+				return this.push({ kind: 'set!', X: X, Env: Env }, X[2], Env);
+			case 'async': // (async Args Body)
+				return this.give(AsyncLambda(X, Env));
+			case 'await': // (await Exp)
+				throw new InvalidOperationError("await is only valid in async lambdas and async top level code");
+			case 'lambda': // (lambda Args Body)
+				return this.give(MakeCallableLambda(new Lambda(X[1], X[2], Env, StackEval)));
+			case 'macro': // (macro Args Body)
+				return this.give(new Macro(X[1], X[2], Env));
+			case 'hygienic-macro': // (hygienic-macro Args Body)
+				return this.give(new Macro(X[1], X[2], Env, true));
+			case 'begin': // (begin Exps)
+				return this.sequence(X, 1, Env);
+			case 'match': // (match Exp Clauses...)
+				return this.push({ kind: 'match', X: X, Env: Env }, X[1], Env);
+			case 'try': // (try Operation ErrorHandler)
+				return this.push({ kind: 'try', X: X, Env: Env, depth: this.depth() }, X[1], Env);
+		}
+		// Evaluate the procedure, then each argument in turn
+		this.push({ kind: 'call', X: X, Env: Env, values: [] }, X[0], Env);
+	}
+	// Evaluate the forms of X from index onwards, the last in tail position
+	sequence(X, index, Env) {
+		if(index >= X.length)
+			return this.give(undefined);
+		if(index === X.length - 1)
+			return this.next(X[index], Env);
+		this.push({ kind: 'begin', X: X, Env: Env, index: index + 1 }, X[index], Env);
+	}
+	resume(frame, value) {
+		var X = frame.X;
+		this.form = X;
+		switch(frame.kind) {
+			case 'if':
+				return this.next(value ? X[2] : X[3], frame.Env);
+			case 'define':
+				return this.give(frame.Env.define(X[1], NameCallable(value, X[1])));
+			case 'set!':
+				return this.give(frame.Env.set(X[1], value));
+			case 'begin':
+				return this.sequence(X, frame.index, frame.Env);
+			case 'match':
+				var matched = MatchClauses(X, value, frame.Env, StackEval);
+				return this.next(matched.body, matched.env);
+			case 'try':
+				// A rejected Promise is handled the same as a thrown error
+				if(value instanceof Promise)
+					value = value.then(undefined, TryHandler(X, frame.Env));
+				return this.give(value);
+			case 'return':
+				// Leave the frame entered by the call
+				CallDepth = this.base + frame.depth;
+				return this.give(value);
+			case 'expand':
+				return this.next(FinishExpansion(frame.macro, value, X), frame.Env);
+			case 'call':
+				var values = frame.values;
+				values.push(value);
+				if(values.length === 1 && value.constructor === Macro) {
+					var newEnv = new Environment(value.env);
+					newEnv.update(value.args, X.slice(1), value);
+					return this.push({ kind: 'expand', X: X, Env: frame.Env, macro: value }, value.body, newEnv);
+				}
+				if(values.length < X.length)
+					return this.push(frame, X[values.length], frame.Env);
+				return this.apply(values[0], values.slice(1), X, frame.Env);
+		}
+		throw new UnreachableError();
+	}
+	apply(proc, args, X, Env) {
+		this.form = X;
+		if(proc.constructor === SpecialFunction)
+			return this.give(proc.handler(args, Env));
+		if(proc === Yield)
+			return this.suspend(args[0]);
+		if(typeof proc === 'function') {
+			if(proc.__proto__ !== Lambda || proc.lambda.async)
+				return this.give(ActiveProfiler === null ? proc(...args) : ActiveProfiler.callNative(proc, args));
+			var lambda = proc.lambda;
+			var top = this.stack[this.stack.length - 1];
+			if(top === undefined || top.kind !== 'return') {
+				// Not a tail call: leave the entered frame on return
+				top = { kind: 'return', depth: this.depth() };
+				this.stack.push(top);
+			}
+			EnterFrame(lambda, X, this.base + top.depth);
+			if(CallDepth > StackMachine.MaxDepth)
+				throw new StackOverflowError(CallDepth);
+			if(this.debugger !== undefined)
+				this.debugger.enter(lambda);
+			var newEnv = new Environment(lambda.env);
+			newEnv.update(lambda.args, args, lambda);
+			return this.next(lambda.body, newEnv);
+		}
+		// Interepreted as a call to a member function
+		var method = to_s(args[0]);
+		if(ActiveSandbox !== null)
+			this.give(SandboxValue(proc[SandboxKey(method)](...args.slice(1))));
+		else
+			this.give(proc[method](...args.slice(1)));
+	}
+	// Unwind the stack to the innermost try, and pass it the error.
+	// Throws the error if there is no try to handle it.
+	handle(e) {
+		while(true) {
+			// Continuations escape straight past any try
+			if(e instanceof ContinuationEscape)
+				throw e;
+			e = AttachLispyStack(AnnotateError(StackOverflow(e), this.form));
+			var frame;
+			do {
+				frame = this.stack.pop();
+				if(frame !== undefined && frame.kind === 'return')
+					CallDepth = this.base + frame.depth;
+			} while(frame !== undefined && frame.kind !== 'try');
+			if(frame === undefined)
+				throw e;
+			CallDepth = this.base + frame.depth;
+			this.form = frame.X;
+			try {
+				return this.apply(TryHandler(frame.X, frame.Env), [e], frame.X, frame.Env);
+			} catch (e2) {
+				e = e2;
+			}
+		}
+	}
+	// Suspend the machine, giving value as the result of run. When run
+	// again, resume passes the value to return from (yield Value).
+	suspend(value) {
+		if(this.generator === undefined)
+			return this.give(Yield(value));
+		this.suspended = true;
+		this.value = value;
+	}
+	resumeWith(value) {
+		this.give(value);
+		return this.run();
+	}
+}
+// Maximum number of nested calls before a StackOverflowError
+StackMachine.MaxDepth = 1000000;
+function StackEval (X, Env) {
+	return new StackMachine(X, Env).run();
+}
+
+// ===============================================
+// Continuations and generators
+//
+// call/cc provides escaping continuations: calling the continuation
+// returns its argument from the call/cc, unwinding everything evaluated
+// since. A continuation can not be used once its call/cc has returned.
+//
+// Generators run a lambda on a StackMachine, which (yield Value) suspends.
+// They implement the JavaScript iterator protocol.
+// ===============================================
+// The JavaScript Symbol.iterator, as Symbol here is the Lispy Symbol
+var IteratorKey = globalThis.Symbol.iterator;
+// Thrown to unwind to a call/cc. This is not an Error, and try does not catch it.
+class ContinuationEscape {
+	constructor(continuation, value) {
+		this.continuation = continuation;
+		this.value = value;
+	}
+	toString() { return "#ContinuationEscape"; }
+}
+function CallWithContinuation (f) {
+	var active = true;
+	var continuation = function Continuation(value) {
+		if (!active)
+			throw new InvalidOperationError("continuation used after its call/cc returned");
+		throw new ContinuationEscape(continuation, value);
+	};
+	try {
+		return f(continuation);
+	} catch (e) {
+		if (e instanceof ContinuationEscape && e.continuation === continuation)
+			return e.value;
+		throw e;
+	} finally {
+		active = false;
+	}
+}
+// (yield Value) is handled by the StackMachine running a generator. It is
+// only called when the machine cannot suspend, which in a generator running
+// means from a lambda that JavaScript called, whose frames cannot be paused.
+var GeneratorsRunning = 0;
+function Yield (value) {
+	if (GeneratorsRunning > 0)
+		throw new InvalidOperationError("yield cannot pause a generator from within a lambda called from JavaScript, such as by each or map");
+	throw new InvalidOperationError("yield is only valid within a generator");
+}
+class Generator {
+	constructor(f) {
+		// Evaluate a call to f, with f as the head of the form
+		this.machine = new StackMachine([f], StandardEnvironment);
+		this.machine.generator = this;
+		this.started = false;
+		this.running = false;
+		this.done    = false;
+	}
+	// Resume the generator, with value given as the result of its yield
+	next(value) {
+		if (this.done)
+			return { value: undefined, done: true };
+		if (this.running)
+			throw new InvalidOperationError("generator is already running");
+		this.running = true;
+		GeneratorsRunning++;
+		try {
+			var result = this.started ? this.machine.resumeWith(value) : this.machine.run();
+			this.started = true;
+			this.done = !this.machine.suspended;
+			return { value: result, done: this.done };
+		} catch (e) {
+			this.done = true;
+			throw e;
+		} finally {
+			this.running = false;
+			GeneratorsRunning--;
+		}
+	}
+	// Finish the generator early
+	return(value) {
+		this.done = true;
+		return { value: value, done: true };
+	}
+	[IteratorKey]() { return this; }
+	toString() { return "#Generator"; }
+}
+// Get a JavaScript iterator from a Lispy list, generator or other iterable
+function IteratorOf (iterable) {
+	if (iterable === undefined || iterable === null || typeof iterable[IteratorKey] !== 'function')
+		throw new InvalidArgumentError("Not iterable: " + to_string(iterable));
+	return iterable[IteratorKey]();
+}
+// Call f with each value of iterable, stopping after count values if given
+function IterateOver (iterable, f, count) {
+	var iterator = IteratorOf(iterable);
+	for (var taken = 0; count === undefined || taken < count; ++taken) {
+		var step = iterator.next();
+		if (step.done) return;
+		f(step.value);
+	}
+	// Stopped early, let the iterator finish
+	if (typeof iterator.return === 'function')
+		iterator.return();
+}
+function IteratorList (iterable, count) {
+	var list = [];
+	IterateOver(iterable, value => { list.push(value); }, count);
+	return list;
+}
+
+// ===============================================
+// Debugger
+//
+// The Debugger runs code on a StackMachine, which it pauses before
+// evaluating a form when a breakpoint or step is reached. While paused,
+// the environment of the paused form can be inspected or modified, and
+// evaluation continued or stepped.
+//
+// Breakpoints are on a lambda (or the name of one), pausing at the start
+// of its body, or on a source line as "file:line" or just a line number.
+// Lambdas called from JavaScript, such as by map or each, are evaluated
+// without pausing.
+// ===============================================
+class Debugger {
+	constructor() {
+		this.lines   = [];        // line breakpoints: {file, line}
+		this.lambdas = [];        // lambda breakpoints: Lambda or name
+		this.mode    = 'continue'; // or 'into', 'over', 'out'
+		this.target  = 0;         // stack depth at which 'over' and 'out' pause
+		this.entered = false;     // a lambda with a breakpoint was entered
+		this.resumed = false;     // do not pause again at the paused form
+		this.machine = undefined; // the machine being debugged
+	}
+	// Add a breakpoint on a lambda, or a line given as "file:line" or a number
+	break(target) {
+		var spec = Debugger.LineSpec(target);
+		if (spec !== undefined)
+			this.lines.push(spec);
+		else if (typeof target === 'function' && target.__proto__ === Lambda)
+			this.lambdas.push(target.lambda);
+		else
+			this.lambdas.push(to_s(target));
+		return this.breakpoints();
+	}
+	// Remove breakpoints on target, or all breakpoints if none given
+	unbreak(target) {
+		if (target === undefined) {
+			this.lines = [];
+			this.lambdas = [];
+		} else {
+			var spec = Debugger.LineSpec(target);
+			var lambda = (typeof target === 'function' && target.__proto__ === Lambda) ? target.lambda : to_s(target);
+			this.lines = this.lines.filter(L => spec === undefined || L.file !== spec.file || L.line !== spec.line);
+			this.lambdas = this.lambdas.filter(L => L !== lambda);
+		}
+		return this.breakpoints();
+	}
+	breakpoints() {
+		return this.lines.map(L => (L.file === undefined ? "" : L.file + ":") + L.line)
+			.concat(this.lambdas.map(L => typeof L === 'string' ? L : CalleeName(L)));
+	}
+	// Will code be evaluated by the debugger
+	active() {
+		return this.paused() || this.mode !== 'continue' || this.lines.length > 0 || this.lambdas.length > 0;
+	}
+	paused() {
+		return this.machine !== undefined && this.machine.suspended;
+	}
+	// Evaluate X in Env, returning its value unless paused
+	eval(X, Env) {
+		if (this.paused())
+			throw new InvalidOperationError("already debugging, continue or step to finish");
+		this.machine = new StackMachine(X, Env);
+		this.machine.debugger = this;
+		return this.run();
+	}
+	// Continue until the next breakpoint, returning the value if finished
+	continue() {
+		return this.step('continue');
+	}
+	// Step into, over or out of the paused form. If not paused, the
+	// next evaluation pauses at its first form. Only lists are forms
+	// that pause: symbols and other values are not stepped through.
+	step(mode) {
+		mode = (mode === undefined) ? 'into' : to_s(mode);
+		if (['continue', 'into', 'over', 'out'].indexOf(mode) === -1)
+			throw new InvalidArgumentError("Unknown step: " + mode);
+		if (!this.paused()) {
+			if (mode !== 'continue') this.mode = 'into';
+			return undefined;
+		}
+		this.mode = mode;
+		var stack = this.machine.stack;
+		if (mode === 'over')
+			this.target = stack.length;
+		else if (mode === 'out') {
+			// Pause once the innermost call has returned
+			var frame = stack.length - 1;
+			while (frame >= 0 && stack[frame].kind !== 'return')
+				--frame;
+			this.target = frame;
+			if (frame < 0) this.mode = 'continue';
+		}
+		this.resumed = true;
+		return this.run();
+	}
+	run() {
+		var machine = this.machine;
+		try {
+			var value = machine.run();
+			if (machine.suspended)
+				return undefined;
+			this.finish();
+			return value;
+		} catch (e) {
+			this.finish();
+			throw e;
+		}
+	}
+	// The evaluation ended, so a step does not carry over to the next
+	finish() {
+		this.machine = undefined;
+		this.mode    = 'continue';
+		this.entered = false;
+	}
+	// Called by the machine before evaluating the form X
+	pauseAt(machine, X) {
+		var location = LocationOf(X);
+		var line = location && (location.file + ":" + location.line);
+		var newLine = line !== machine.lastLine;
+		machine.lastLine = line;
+		if (this.resumed) {
+			this.resumed = false;
+			return false;
+		}
+		var pause = this.entered || this.mode === 'into' ||
+			(this.mode === 'over' && machine.stack.length <= this.target) ||
+			(this.mode === 'out' && machine.stack.length <= this.target) ||
+			(newLine && location !== undefined && this.lines.some(L => Debugger.LineMatches(L, location)));
+		if (pause) {
+			this.entered = false;
+			this.mode = 'continue';
 		}
+		return pause;
 	}
-}
-function depthStr () {
-	var str = "";
-	if (depth < 20)
-		str = "=".repeat(depth - 1) + " | ";
-	else
-		str = "=                " + depth + " | ";
-	return str;
-}
-function DebugEval (X, Env) {
-	depth++;
-	var result;
-	try {
-		result = NormalEval(X, Env);
-	} catch (e) {
-		depth--;
-		throw e;
+	// Called by the machine when entering a lambda
+	enter(lambda) {
+		if (this.lambdas.some(L => L === lambda || L === lambda.name))
+			this.entered = true;
 	}
-	console.error(depthStr() + "Eval(", inspect(X, shortInspectLength), "):",  inspect(result, longInspectLength));
-	depth--;
-	return result;
+	// The paused form, its location and its environment
+	form() { return this.paused() ? this.machine.X : undefined; }
+	location() {
+		var location = LocationOf(this.form());
+		return location === undefined ? undefined : to_s(location);
+	}
+	env() { return this.paused() ? this.machine.Env : undefined; }
+	// Stop debugging the paused evaluation
+	abort() {
+		this.finish();
+	}
+}
+// A line breakpoint from "file:line" or a line number, or undefined
+Debugger.LineSpec = function (target) {
+	if (typeof target === 'number')
+		return { file: undefined, line: target };
+	if (typeof target !== 'string')
+		return undefined;
+	var match = target.match(/^(?:(.*):)?(\d+)$/);
+	return match ? { file: match[1], line: Number(match[2]) } : undefined;
+};
+Debugger.LineMatches = function (spec, location) {
+	if (spec.line !== location.line) return false;
+	if (spec.file === undefined) return true;
+	var file = location.file || "<input>";
+	return file === spec.file || path.basename(file) === spec.file || path.resolve(file) === path.resolve(spec.file);
+};
+var TheDebugger; // that of the active Interpreter
+
+// Report JavaScript stack exhaustion as a StackOverflowError
+function StackOverflow (e) {
+	if(e instanceof RangeError && /call stack/.test(e.message))
+		return new StackOverflowError(CallDepth);
+	return e;
 }
+
+// The available evaluators. DebugEval wraps whichever is selected.
+var Evaluators = {
+	'normal': NormalEval,
+	'compile': CompiledEval,
+	'stack': StackEval,
+};
+var BaseEval = NormalEval;
 var Eval = NormalEval;
 function SetDebug (debug) {
-	Eval = debug ? DebugEval : NormalEval;
+	Eval = debug ? DebugEval : BaseEval;
 	return debug;
 }
+function SetEvaluator (name) {
+	name = to_s(name);
+	if (!(name in Evaluators))
+		throw new InvalidArgumentError("Unknown evaluator: " + name);
+	BaseEval = Evaluators[name];
+	if (Eval !== DebugEval)
+		Eval = BaseEval;
+	return name;
+}
+function EvaluatorName () {
+	return Object.keys(Evaluators).find(name => Evaluators[name] === BaseEval);
+}
+// Evaluate with the current evaluator, or the one named
+function EvalWith (X, Env, evaluator) {
+	if (evaluator === undefined)
+		return Eval(X, Env);
+	if (!(evaluator in Evaluators))
+		throw new InvalidArgumentError("Unknown evaluator: " + evaluator);
+	return Evaluators[evaluator](X, Env);
+}
 
 // to_s: convert to string simply
 function to_s (val) {
@@ -441,6 +2705,176 @@ function to_string (val, withquotes) {
 		return "{" + val.map(v=>to_string(v, withquotes)).join(" ") + "}";
 	return val.toString();
 }
+
+// ===============================================
+// Readable data
+//
+// write gives the text of a value that Parse reads back as the same
+// value, and that also evaluates to it: symbols are quoted, strings are
+// escaped, and dicts are written as (dict Key Value...). read reads such
+// text without evaluating it, so it is safe to use on untrusted input.
+//
+// Only data can be written: nil, undefined, booleans, numbers, strings,
+// symbols, lists, tuples and dicts of those. Anything else, such as a
+// lambda or a circular list, raises an InvalidArgumentError.
+// ===============================================
+var WriteEscapes = { '"': '\\"', '\\': '\\\\', '\n': '\\n', '\r': '\\r', '\t': '\\t',
+	'\0': '\\0', '\b': '\\b', '\f': '\\f', '\v': '\\v' };
+function WriteValue (val, seen) {
+	seen = seen || [];
+	if (val === undefined) return 'undefined';
+	if (val === null) return 'nil';
+	if (val === true || val === false) return String(val);
+	if (typeof val === 'number') {
+		if (!isFinite(val))
+			throw new InvalidArgumentError("Cannot write " + val);
+		// Large integers are read as bigints unless written with an exponent
+		if (Number.isInteger(val) && !Number.isSafeInteger(val))
+			return val.toExponential();
+		return Object.is(val, -0) ? "-0.0" : String(val);
+	}
+	if (typeof val === 'bigint') return val + "n";
+	if (typeof val === 'string')
+		return '"' + val.replace(/["\\\n\r\t\0\b\f\v]/g, c => WriteEscapes[c]) + '"';
+	if (val.constructor === Rational) return val.toString();
+	if (val.constructor === Symbol) {
+		if (!IsWritableSymbol(val.symbol))
+			throw new InvalidArgumentError("Cannot write symbol named " + JSON.stringify(val.symbol));
+		return "'" + val.symbol;
+	}
+	if (seen.indexOf(val) !== -1)
+		throw new InvalidArgumentError("Cannot write a circular structure");
+	seen.push(val);
+	try {
+		var write = V => WriteValue(V, seen);
+		if (val.constructor === Array)
+			return "[" + val.map(write).join(" ") + "]";
+		if (val.constructor === Tuple)
+			return "{" + val.members.map(write).join(" ") + "}";
+		if (IsDict(val))
+			return "(" + ["dict"].concat(...Object.keys(val).map(K => [write(K), write(val[K])])).join(" ") + ")";
+	} finally {
+		seen.pop();
+	}
+	throw new InvalidArgumentError("Cannot write a value of type " + LispyTypeOf(val).symbol);
+}
+// A symbol can be written if it reads back as a symbol of the same name
+function IsWritableSymbol (name) {
+	if (name === "" || /[\s"]/.test(name) || name.startsWith(";;") || NumericStart.test(name))
+		return false;
+	if (ReaderPrefixes.some(P => name.startsWith(P[0])))
+		return false;
+	return !Array.from(name).some(C => ReadTable.Standard.ends(C));
+}
+// Plain objects, as made by dict:new, dict and json:parse
+function IsDict (val) {
+	var proto = Object.getPrototypeOf(val);
+	return proto === Object.prototype || proto === null;
+}
+// Make a dict from keys and values. Keys are defined rather than assigned,
+// so that __proto__ is an ordinary key.
+function MakeDict (pairs) {
+	if (pairs.length % 2 !== 0)
+		throw new InvalidArgumentError("dict requires a value for each key");
+	var dict = {};
+	for (var i = 0; i < pairs.length; i += 2)
+		Object.defineProperty(dict, to_s(pairs[i]), {
+			value: pairs[i + 1], writable: true, enumerable: true, configurable: true
+		});
+	return dict;
+}
+// Read text given by write, without evaluating it
+function ReadValue (text, file) {
+	var reader = new Reader(text, file, ReadTable.Standard, { syntaxes: false });
+	if (reader.peek() === undefined)
+		throw new ParserError("Missing value", reader.end);
+	var X = read_from(reader);
+	if (reader.peek() !== undefined)
+		throw new ParserError("Unexpected input after value", reader.peek().location);
+	return ReadDatum(X);
+}
+var ReadLiterals = { 'nil': null, 'undefined': undefined, 'true': true, 'false': false };
+function ReadDatum (X) {
+	if (X === undefined || X === null) return X;
+	if (X.constructor === Symbol) {
+		if (!ReadLiterals.hasOwnProperty(X.symbol))
+			throw new ParserError("Cannot read symbol " + X.symbol + ", which must be quoted", LocationOf(X));
+		return ReadLiterals[X.symbol];
+	}
+	if (X.constructor !== Array)
+		return X;
+	var items = X.slice(1);
+	switch (HeadName(X)) {
+		case 'quote':
+			if (items.length !== 1)
+				break;
+			return ReadQuoted(items[0]);
+		case 'list':
+			return items.map(ReadDatum);
+		case 'tuple':
+			return new Tuple(items.map(ReadDatum));
+		case 'dict':
+			return MakeDict(items.map(ReadDatum));
+	}
+	throw new ParserError("Cannot read " + to_string(X, true), LocationOf(X));
+}
+// A quoted form is read as it was parsed, but without source locations
+function ReadQuoted (X) {
+	if (X !== undefined && X !== null && X.constructor === Symbol)
+		return new Symbol(X.symbol);
+	if (X !== undefined && X !== null && X.constructor === Array)
+		return X.map(ReadQuoted);
+	return X;
+}
+
+// ===============================================
+// JSON
+//
+// json:stringify and json:parse convert between Lispy values and JSON:
+//
+//   JSON            Lispy
+//   object          dict
+//   array           list (tuples are also written as arrays)
+//   string          string (symbols are also written as their names)
+//   number          number (bigints and rationals are written as numbers)
+//   true, false     true, false
+//   null            nil (undefined is written as null in a list, and
+//                   omitted from a dict)
+//
+// Other values, such as lambdas, raise an InvalidArgumentError, as do
+// bigints too large to write as exact numbers.
+// ===============================================
+function JsonReplacer (key, val) {
+	if (val === undefined || val === null) return val;
+	if (typeof val === 'bigint') {
+		if (!IsSafeBigInt(val))
+			throw new InvalidArgumentError("Cannot convert " + val + "n to JSON exactly");
+		return Number(val);
+	}
+	if (typeof val === 'function' || val.constructor === Environment ||
+	    val.constructor === Macro || val.constructor === SpecialFunction)
+		throw new InvalidArgumentError("Cannot convert a value of type " + LispyTypeOf(val).symbol + " to JSON");
+	if (val.constructor === Symbol) return val.symbol;
+	if (val.constructor === Tuple) return val.members;
+	if (val.constructor === Rational) return Number(val.numerator) / Number(val.denominator);
+	return val;
+}
+function JsonStringify (val, indent) {
+	try {
+		return JSON.stringify(val, JsonReplacer, indent);
+	} catch (e) {
+		if (e instanceof TypeError)
+			throw new InvalidArgumentError("Cannot convert to JSON: " + e.message);
+		throw e;
+	}
+}
+function JsonParse (text) {
+	try {
+		return JSON.parse(text);
+	} catch (e) {
+		throw new ParserError("Invalid JSON: " + e.message);
+	}
+}
 var slice  = Array.prototype.slice,
 	join   = Array.prototype.join,
 	reduce = Array.prototype.reduce;
@@ -452,6 +2886,14 @@ var ops = {
 	'+': (a, n) => a + n, '-': (a, n) => a - n,
 	'*': (a, n) => a * n, '/': (a, n) => a / n,
 };
+// Operators used by the StdLib, with a fast path for plain numbers
+var bothNumbers = (a, b) => typeof a === 'number' && typeof b === 'number';
+var numericOps = {
+	'+': (a, n) => bothNumbers(a, n) ? a + n : NumericOp('+', a, n),
+	'-': (a, n) => bothNumbers(a, n) ? a - n : NumericOp('-', a, n),
+	'*': (a, n) => bothNumbers(a, n) ? a * n : NumericOp('*', a, n),
+	'/': (a, n) => bothNumbers(a, n) ? a / n : NumericOp('/', a, n),
+};
 function ManyArgs (Callback) {
 	return function() { return Callback(slice.call(arguments)); }
 }
@@ -475,7 +2917,7 @@ function LispyTypeOf (x) {
 	if (x === null) return Types['nil'];
 	if (x instanceof Error) return Types['error'];
 	if (x.constructor === Array) return Types['list'];
-	if (typeof x === 'number') return Types['number'];
+	if (typeof x === 'number' || typeof x === 'bigint') return Types['number'];
 	if (typeof x === 'string') return Types['string'];
 	if (x.constructor === Symbol) return Types['symbol'];
 	if (typeof x === 'function') {
@@ -486,6 +2928,8 @@ function LispyTypeOf (x) {
 	if (x.constructor === SpecialFunction) return Types['sproc'];
 	if (x.constructor === Macro) return Types['macro'];
 	if (x.constructor === Environment) return Types['environment'];
+	if (x.constructor === Rational) return Types['number'];
+	if (x instanceof Record) return x.constructor.type;
 	if (typeof x === 'object') return Types['object'];
 	throw new UnexpectedInputError("Unknown object type: " + typeof x);
 }
@@ -499,28 +2943,33 @@ var StdLib = {
 	// Uses cached operators to avoid creating new function enclosures.
 	// All four mathematical operators can be implemented using the reduce
 	// method.
-	'+': ManyArgs(Args => reduce.call(Args, ops['+'])),
-	'-': ManyArgs(Args => reduce.call(Args, ops['-'])),
-	'*': ManyArgs(Args => reduce.call(Args, ops['*'])),
-	'/': ManyArgs(Args => reduce.call(Args, ops['/'])),
-	'<': (a, b) => a < b,
-	'<=':(a, b) => a <= b,
-	'>': (a, b) => a > b,
-	'>=':(a, b) => a >= b,
+	'+': ManyArgs(Args => reduce.call(Args, numericOps['+'])),
+	'-': ManyArgs(Args => reduce.call(Args, numericOps['-'])),
+	'*': ManyArgs(Args => reduce.call(Args, numericOps['*'])),
+	'/': ManyArgs(Args => reduce.call(Args, numericOps['/'])),
+	'div': (a, b) => IntegerDivide(a, b),
+	'mod': (a, b) => Modulo(a, b),
+	'<': (a, b) => bothNumbers(a, b) ? a < b  : NumericCompare(a, b) < 0,
+	'<=':(a, b) => bothNumbers(a, b) ? a <= b : NumericCompare(a, b) <= 0,
+	'>': (a, b) => bothNumbers(a, b) ? a > b  : NumericCompare(a, b) > 0,
+	'>=':(a, b) => bothNumbers(a, b) ? a >= b : NumericCompare(a, b) >= 0,
 	// TODO: hacky, but symbols need to be comparable to each other
 	'=': (a, b) =>
+		(IsRational(a) || IsRational(b)) ? NumericCompare(a, b) === 0 :
 		((a && a.constructor === Symbol) ? a.symbol : a) ==
 		((b && b.constructor === Symbol) ? b.symbol : b),
-	'!=':(a, b) => a != b,
+	'!=':(a, b) => (IsRational(a) || IsRational(b)) ? NumericCompare(a, b) !== 0 : a != b,
 	'===': (a, b) => a === b,
 	'!==': (a, b) => a !== b,
 	'to_s': x => to_s(x),
 	'to_string': (val, withquotes) => to_string(val, withquotes),
+	'write': val => WriteValue(val),
+	'read': (text, file) => ReadValue(to_s(text), file),
 	'split': (s, r) => s.split(r),
 	'join': (s, j) => s.join(j),
 	'regexp': (pattern, flags) => new RegExp(pattern, flags),
-	'print': ManyArgs(Args => console.log(Args.map(to_string_mapper).join(' '))),
-	'log': ManyArgs(Args => console.log(...Args)),
+	'print': ManyArgs(Args => WriteOut(Args.map(to_string_mapper).join(' '))),
+	'log': ManyArgs(Args => WriteOut(...Args)),
 	'car': x => x[0],
 	'head': x => x[0],
 	'cdr': x => x.slice(1),
@@ -535,6 +2984,15 @@ var StdLib = {
 	'regexp': ManyArgs(Args => new RegExp(...Args)),
 	'date': ManyArgs(Args => new Date(...Args)),
 	'list?': x => x.constructor === Array,
+	'tuple?': x => x instanceof Tuple,
+	'record:type': (name, fields) => RecordType(name, fields),
+	'record:type?': x => IsRecordType(x),
+	'record:fields': x => RecordTypeCheck(x instanceof Record ? x.constructor : x).fields.slice(),
+	'record:constructor': type => RecordConstructor(type),
+	'record:predicate': type => RecordPredicate(type),
+	'record:accessor': (type, field) => RecordAccessor(type, field),
+	'record:updater': (type, field) => RecordUpdater(type, field),
+	'record?': x => x instanceof Record,
 	'index': (list, index) => list[index],
 	'last': list => list[list.length ? list.length - 1 : 0],
 	'map': (list, callback) => list.map(v => callback(v)),
@@ -544,9 +3002,14 @@ var StdLib = {
 	'and': (a, b) => a && b,
 	'or': (a, b) => a || b,
 	'null?': x => (!x || x.length === 0),
-	'number?': x => typeof x === 'number',
+	'number?': x => IsNumeric(x),
+	'integer?': x => typeof x === 'bigint' || Number.isInteger(x),
+	'rational?': x => IsExact(x),
+	'number:float': x => Number(x),
+	'number:bigint': x => IsRational(x) ? x.numerator / x.denominator : BigInt(x),
 	'procedure?': x => typeof x === 'function' && x.__proto__ !== Lambda,
 	'symbol?': x => x.constructor === Symbol,
+	'symbol:new': name => new Symbol(to_s(name)),
 	'lambda?': x => x.__proto__ === Lambda,
 	'macro?': x => x.constructor === Macro,
 	'env?': x => x.constructor === Environment,
@@ -571,15 +3034,62 @@ var StdLib = {
 		return dict;
 	},
 	'dict:key?': (dict, key) => to_s(key) in dict,
+	'dict:delete': (dict, key) => delete dict[to_s(key)],
 	'dict:keys': dict => Object.keys(dict),
+	'dict': ManyArgs(Args => MakeDict(Args)),
+	'json:parse': text => JsonParse(to_s(text)),
+	'json:stringify': (val, indent) => JsonStringify(val, indent),
 	'require': path => require(to_s(path)),
 	'eval': (x, env) => Eval(x, env),
-	'parse': s => Parse(s),
-	'stdin': () => process.stdin,
-	'stdout': () => process.stdout,
+	'eval:async': (x, env) => AsyncEval(x, env),
+	'eval:awaits?': x => ContainsAwait(x),
+	'promise?': x => x instanceof Promise,
+	'call/cc': f => CallWithContinuation(f),
+	'generator': f => new Generator(f),
+	'generator?': x => x instanceof Generator,
+	'yield': Yield,
+	'iter:each': (iterable, callback) => IterateOver(iterable, v => callback(v)),
+	'iter:list': iterable => IteratorList(iterable),
+	'iter:take': (iterable, count) => IteratorList(iterable, count),
+	'debug:eval': (x, env) => TheDebugger.eval(x, env),
+	'debug:break': target => TheDebugger.break(target),
+	'debug:unbreak': target => TheDebugger.unbreak(target),
+	'debug:breakpoints': () => TheDebugger.breakpoints(),
+	'debug:step': mode => TheDebugger.step(mode),
+	'debug:continue': () => TheDebugger.continue(),
+	'debug:abort': () => TheDebugger.abort(),
+	'debug:active?': () => TheDebugger.active(),
+	'debug:paused?': () => TheDebugger.paused(),
+	'debug:form': () => TheDebugger.form(),
+	'debug:location': () => TheDebugger.location(),
+	'debug:env': () => TheDebugger.env(),
+	// Select the clause of (match Exp Clauses...) for value, for evaluators written in Lispy.
+	// Returns {Body Env}, guards being evaluated with the evaluate function.
+	'match:select': (X, value, env, evaluate) => {
+		var matched = MatchClauses(X, value, env, evaluate);
+		return new Tuple([matched.body, matched.env]);
+	},
+	'promise:all': list => Promise.all(list),
+	'promise:resolve': value => Promise.resolve(value),
+	'promise:reject': reason => Promise.reject(reason),
+	'parse': (s, file) => Parse(s, file),
+	// Enables syntaxes as it is read, so does nothing when evaluated
+	'reader:use': ManyArgs(() => undefined),
+	'reader:syntax': (name, syntax) => { ReaderSyntaxes.set(to_s(name), syntax); },
+	'reader:macro': (table, prefix, macro) => table.macro(prefix, macro),
+	'reader:delimiter': (table, open, close, head) => table.delimiter(open, close, head),
+	'reader:read': reader => read_from(reader),
+	'reader:read-list': (reader, close) => read_list(reader, reader.token, to_s(close), []),
+	'reader:peek-char': reader => reader.peekChar(),
+	'reader:next-char': reader => reader.nextChar(),
+	'reader:none': ReaderNone,
+	'stdin': () => Stdin,
+	'stdout': () => Stdout,
 	'inspect': obj => util.inspect(obj),
 	'kernel:debug?': () => Eval === DebugEval,
 	'kernel:debug': bool => SetDebug(bool),
+	'kernel:evaluator': name => (name === undefined) ? EvaluatorName() : SetEvaluator(name),
+	'kernel:max-depth': depth => (depth === undefined) ? StackMachine.MaxDepth : (StackMachine.MaxDepth = Number(depth)),
 	'proc:apply': (Proc, Args) => Proc(...Args),
 	'proc:objectapply': (Obj, Member, Args) => Obj[to_s(Member)](...Args),
 	'lambda:new' : (Args, Body, Env, Evaluator) =>
@@ -591,17 +3101,31 @@ var StdLib = {
 	'lambda:body': lambda => lambda.lambda.body,
 	'lambda:env' : lambda => lambda.lambda.env,
 	'lambda:evaluator': lambda => lambda.lambda.evaluator,
-	'macro:new' : (Args, Body, Env) => new Macro(Args, Body, Env),
+	'macro:new' : (Args, Body, Env, Hygienic) => new Macro(Args, Body, Env, Hygienic),
 	'macro:args': macro => macro.args,
 	'macro:body': macro => macro.body,
 	'macro:env' : macro => macro.env,
+	'macro:hygienic?': macro => macro.hygienic,
+	// Apply hygiene to the expansion of a macro called with args, if it is hygienic
+	'macro:hygienate': (macro, expansion, args) => macro.hygienic ? Hygienate(expansion, args) : expansion,
+	'macroexpand-1': new SpecialFunction((Args, Env) => MacroExpand(Args[0], Env, false)),
+	'macroexpand': new SpecialFunction((Args, Env) => MacroExpand(Args[0], Env, true)),
+	'gensym': prefix => Gensym(prefix),
 	'error'     : e => { throw e; },
+	'error:lispy-stack': e => (e instanceof Error) ? e.lispyStack : undefined,
+	// Where an error happened, as "file:line:column", or undefined
+	'error:location': e => (ErrorLocation(e) === undefined) ? undefined : to_s(ErrorLocation(e)),
 	'error:custom': (Name, Message) => new CustomError(Name, Message),
+	// Where a form was parsed from, as "file:line:column", or undefined
+	'source:location': X => (LocationOf(X) === undefined) ? undefined : to_s(LocationOf(X)),
 	'lispy:setparse': (parse) => LispyParse = parse,
 	'lispy:jseval': (Code) => eval(Code),
 	'lispy:interface': () => exports,
 	'lispy:runtime': () => RuntimeDirectory,
 	'lispy:runpath': (File) => path.join(RuntimeDirectory, File),
+	'sandbox:new': (Options) => new Sandbox(Options),
+	'sandbox:eval': (Sandbox, Code) => Sandbox.eval(Code),
+	'sandbox:env': (Sandbox) => Sandbox.env,
 };
 function AddStdLib (env) {
 	for(var key in StdLib)
@@ -609,17 +3133,199 @@ function AddStdLib (env) {
 	return env;
 }
 
+// ===============================================
+// Sandboxes
+//
+// A Sandbox is an environment built from an allow-list of StdLib entries,
+// with a whitelist of modules that may be passed to require. Code run with
+// Sandbox.eval is subject to limits on evaluation steps, wall-clock time
+// and Environments constructed, and a ResourceLimitError is thrown when
+// one is exceeded. Member access that could reach the Function constructor
+// is refused.
+//
+// Limits apply only while Sandbox.eval is running: lambdas created in the
+// sandbox and later called from JavaScript run without them.
+// ===============================================
+// The Sandbox whose restrictions apply
+var ActiveSandbox = null;
+// Checked at every evaluation step: the active Sandbox, or in a REPL server
+// session's worker thread, its ReplInterrupt
+var StepHook = null;
+var SandboxForbiddenKeys = ['constructor', '__proto__', 'prototype',
+	'__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'];
+function SandboxKey (key) {
+	key = to_s(key);
+	if (SandboxForbiddenKeys.indexOf(key) !== -1)
+		throw new InvalidOperationError("access to member " + key + " is not permitted in a sandbox");
+	return key;
+}
+// Host values that would run code, or reach other host values, outside the sandbox
+var SandboxForbiddenValues = [Function, Object, Reflect, globalThis, eval,
+	Object.getPrototypeOf(async function () {}).constructor,
+	Object.getPrototypeOf(function* () {}).constructor,
+	Object.getPrototypeOf(async function* () {}).constructor];
+function SandboxValue (value) {
+	if (SandboxForbiddenValues.indexOf(value) !== -1)
+		throw new InvalidOperationError("access to " + (value === globalThis ? "globalThis" : value.name) + " is not permitted in a sandbox");
+	return value;
+}
+// Replacements for StdLib entries that could otherwise escape the sandbox
+var SandboxLib = {
+	'index': (list, index) => SandboxValue(list[SandboxKey(index)]),
+	'dict:get': (dict, key) => SandboxValue(dict[SandboxKey(key)]),
+	'dict:set': (dict, key, value) => dict[SandboxKey(key)] = value,
+	'dict:update': (dict, key, value) => {
+		dict[SandboxKey(key)] = value;
+		return dict;
+	},
+	'dict:delete': (dict, key) => delete dict[SandboxKey(key)],
+	'proc:objectapply': (Obj, Member, Args) => SandboxValue(Obj[SandboxKey(Member)](...Args)),
+	'env:get': (env, key) => {
+		SandboxKey(key);
+		return SandboxValue(env.get(key));
+	},
+};
+class Sandbox {
+	// options:
+	//   allow            StdLib entries to include, defaults to Sandbox.DefaultAllow
+	//   modules          Module names that may be passed to require
+	//   maxSteps         Maximum evaluation steps per eval
+	//   maxTime          Maximum milliseconds per eval
+	//   maxEnvironments  Maximum Environments constructed per eval
+	constructor(options) {
+		options = options || {};
+		this.allow           = options.allow || Sandbox.DefaultAllow;
+		this.modules         = options.modules || [];
+		this.maxSteps        = options.maxSteps || Infinity;
+		this.maxTime         = options.maxTime || Infinity;
+		this.maxEnvironments = options.maxEnvironments || Infinity;
+		this.env = new Environment();
+		this.allow.forEach(key => {
+			key = to_s(key);
+			if (!(key in StdLib))
+				throw new InvalidArgumentError("Unknown StdLib entry: " + key);
+			this.env.define(key, (key in SandboxLib) ? SandboxLib[key] : StdLib[key]);
+		});
+		if (this.modules.length !== 0)
+			this.env.define('require', path => {
+				path = to_s(path);
+				if (this.modules.indexOf(path) === -1)
+					throw new InvalidOperationError("require of " + path + " is not permitted in this sandbox");
+				return require(path);
+			});
+		// While evaluating, the step hook and Sandbox of the code that called eval
+		this.outer = null;
+		this.outerSandbox = null;
+	}
+	toString() { return '#Sandbox'; }
+	// Evaluate code (a string or parsed code) in the sandbox environment
+	eval(code, file) {
+		if (typeof code === 'string')
+			code = Parse(code, file);
+		this.steps = 0;
+		this.deadline = Date.now() + this.maxTime;
+		this.environmentBase = Environment.Count;
+		// A sandbox run inside another remains subject to the outer limits
+		this.outer = StepHook;
+		this.outerSandbox = ActiveSandbox;
+		StepHook = ActiveSandbox = this;
+		try {
+			return Eval(code, this.env);
+		} finally {
+			StepHook = this.outer;
+			ActiveSandbox = this.outerSandbox;
+			this.outer = this.outerSandbox = null;
+		}
+	}
+	// Called for every evaluation step while this sandbox is active
+	step() {
+		if (++this.steps > this.maxSteps)
+			throw new ResourceLimitError('steps', this.maxSteps);
+		if (Environment.Count - this.environmentBase > this.maxEnvironments)
+			throw new ResourceLimitError('environments', this.maxEnvironments);
+		// Checking the time is comparatively expensive, do it periodically
+		if ((this.steps & 0xFF) === 0 && Date.now() > this.deadline)
+			throw new ResourceLimitError('time', this.maxTime);
+		if (this.outer !== null)
+			this.outer.step();
+	}
+}
+// StdLib entries that cannot reach the host beyond printing output
+Sandbox.DefaultAllow = [
+	'undefined', 'nil', 'false', 'true',
+	'+', '-', '*', '/', 'div', 'mod', '<', '<=', '>', '>=', '=', '!=', '===', '!==',
+	'to_s', 'to_string', 'write', 'read', 'split', 'join', 'regexp', 'print', 'car', 'head', 'cdr', 'tail',
+	'slice', 'cons', 'concat', 'equal?', 'length', 'tuple', 'list', 'date', 'list?', 'tuple?',
+	'record:type', 'record:type?', 'record:fields', 'record:constructor', 'record:predicate',
+	'record:accessor', 'record:updater', 'record?',
+	'index', 'last', 'map', 'each', 'list:reduce', 'not', 'and', 'or', 'null?',
+	'number?', 'integer?', 'rational?', 'number:float', 'number:bigint',
+	'procedure?', 'symbol?', 'symbol:new', 'lambda?', 'macro?', 'env?', 'typeof',
+	'env:current', 'env:new', 'env:get', 'env:define', 'env:defined?', 'env:set!',
+	'env:update', 'env:parent', 'env:parent?', 'env:toplevel', 'env:keys',
+	'dict:new', 'dict:get', 'dict:set', 'dict:update', 'dict:key?', 'dict:keys', 'dict:delete',
+	'dict', 'json:parse', 'json:stringify',
+	'eval', 'parse', 'reader:use', 'proc:apply', 'proc:objectapply',
+	'match:select', 'call/cc', 'generator', 'generator?', 'yield', 'iter:each', 'iter:list', 'iter:take',
+	'lambda:new', 'lambda:args', 'lambda:body', 'lambda:env',
+	'macro:new', 'macro:args', 'macro:body', 'macro:env', 'macro:hygienic?', 'macro:hygienate',
+	'macroexpand-1', 'macroexpand', 'gensym',
+	'error', 'error:lispy-stack', 'error:location', 'error:custom', 'source:location',
+];
+
 class KeyNotFoundError extends Error {
 	constructor(key, env) {
+		var location = LocationOf(key);
 		super("Key " + to_s(key) + " not found");
 		this.name = "KeyNotFoundError";
-		env.dump(key);
+		this.location = location;
+		env.dump(to_s(key));
+	}
+}
+class ArityError extends Error {
+	constructor(callee, spec, count) {
+		var required = spec.required.length;
+		var maximum  = required + spec.optional.length;
+		var expected = (spec.rest !== undefined) ? "at least " + required :
+			(required === maximum) ? "exactly " + required :
+			"between " + required + " and " + maximum;
+		super((CalleeName(callee) || "Argument list") + " expects " + expected +
+			" argument(s), got " + count);
+		this.name = "ArityError";
+	}
+}
+class MatchError extends Error {
+	constructor(value) {
+		super("No match clause matched " + to_string(value, true));
+		this.name = "MatchError";
+		this.value = value;
+	}
+}
+class StackOverflowError extends Error {
+	constructor(depth) {
+		super("Stack overflow at a depth of " + depth + " call(s)");
+		this.name = "StackOverflowError";
+		this.depth = depth;
+	}
+}
+class ResourceLimitError extends Error {
+	constructor(limit, maximum) {
+		super("Sandbox " + limit + " limit of " + maximum + " exceeded");
+		this.name = "ResourceLimitError";
+		this.limit = limit;
+	}
+}
+class InterruptedError extends Error {
+	constructor() {
+		super("Evaluation interrupted");
+		this.name = "InterruptedError";
 	}
 }
 class ParserError extends Error {
-	constructor(reason) {
+	constructor(reason, location) {
 		super(reason);
 		this.name = "ParserError";
+		this.location = location;
 	}
 }
 class UnexpectedInputError extends Error {
@@ -636,7 +3342,7 @@ class InvalidArgumentError extends Error {
 }
 class InvalidOperationError extends Error {
 	constructor(operation) {
-		super("Invalid operation");
+		super("Invalid operation" + (operation ? ": " + operation : ""));
 		this.name = "InvalidOperationError";
 	}
 }
@@ -653,9 +3359,42 @@ class CustomError extends Error {
 	}
 }
 
+// Where an error happened, or undefined if unknown. A location of nil
+// stops AnnotateError giving one, but is otherwise the same as none.
+function ErrorLocation (e) {
+	return (e instanceof Error && e.location !== undefined && e.location !== null) ? e.location : undefined;
+}
+// The message of an error, followed by where it happened if known
+function LocatedMessage (e) {
+	var location = ErrorLocation(e);
+	return e.message + (location !== undefined ? " (at " + location + ")" : "");
+}
+// Print an error that escaped evaluation, including its Lispy stack
+function ReportUncaught (e) {
+	if (e instanceof Error) {
+		console.error(e.stack);
+		if (ErrorLocation(e) !== undefined)
+			console.error("Source location: " + ErrorLocation(e));
+		if (e.lispyStack)
+			console.error(e.lispyStack);
+	} else {
+		console.error("Uncaught", to_string(e, true));
+	}
+}
+
 function Main () {
 	var helpMode  = false;
 	var timeMode  = false;
+	var evaluator = 'normal';
+	var testMode  = false;
+	var testFormat = 'summary';
+	var profileMode = false;
+	var fmtMode     = undefined; // 'print', 'check' or 'write'
+	var serveAddress = undefined;
+	var lspMode      = false;
+	var lintMode     = false;
+	var lintFormat   = 'text';
+	var profileFile = undefined;
 	var programFile      = undefined;
 	var programArguments = [];
 
@@ -670,6 +3409,31 @@ function Main () {
 				debugMode = true;
 			else if(args && v === "-t")
 				timeMode = true;
+			else if(args && v === "-e" && i + 1 < argv.length)
+				evaluator = argv[++i];
+			else if(args && v === "-P")
+				profileMode = true;
+			else if(args && v === "--profile-out" && i + 1 < argv.length) {
+				profileMode = true;
+				profileFile = argv[++i];
+			}
+			else if(args && v === "--test")
+				testMode = true;
+			else if(args && v === "--tap")
+				testFormat = 'tap';
+			else if(args && v === "--fmt")
+				fmtMode = fmtMode || 'print';
+			// Only options of --fmt, otherwise the file or its arguments
+			else if(args && fmtMode !== undefined && (v === "--check" || v === "--write"))
+				fmtMode = v.substr(2);
+			else if(args && v === "--serve" && i + 1 < argv.length)
+				serveAddress = argv[++i];
+			else if(args && v === "--lsp")
+				lspMode = true;
+			else if(args && v === "--lint")
+				lintMode = true;
+			else if(args && v === "--json")
+				lintFormat = 'json';
 			else if(args && v.match(/^--?h(elp)?$/))
 				helpMode = true;
 			else if(programFile === undefined)
@@ -679,20 +3443,118 @@ function Main () {
 		}
 	}
 
-	helpMode = helpMode || (programFile === undefined);
+	if(!(evaluator in Evaluators)) {
+		console.error("Unknown evaluator: " + evaluator);
+		helpMode = true;
+	}
+	helpMode = helpMode || (programFile === undefined && !testMode && fmtMode === undefined && serveAddress === undefined && !lspMode && !lintMode);
 	if(helpMode) {
-		console.error(process.argv[1] + " [-d] [-t] [file.lisp] [--] [arguments...]");
+		console.error(process.argv[1] + " [-d] [-t] [-e evaluator] [-P] [--profile-out file] [file.lisp] [--] [arguments...]");
+		console.error(process.argv[1] + " --test [--tap] [paths...]");
+		console.error(process.argv[1] + " --fmt [--check | --write] [paths...]");
+		console.error(process.argv[1] + " [-d] [-e evaluator] --serve port|socket");
+		console.error(process.argv[1] + " --lsp");
+		console.error(process.argv[1] + " --lint [--json] [paths...]");
 		console.error();
 		console.error("Usage:");
 		console.error("       -d           Enable debug mode");
 		console.error("       -t           Show timing information");
+		console.error("       -e evaluator Evaluator to use: " + Object.keys(Evaluators).join(", ") + " (default: normal)");
+		console.error("       -P           Profile calls, and show the time spent in each on exit");
+		console.error("       --profile-out file");
+		console.error("                    Also write the profile to file, as a .cpuprofile if it has");
+		console.error("                    that extension, otherwise as folded stacks");
 		console.error("       file.lisp    File to run");
 		console.error("       --           End Lispy argument passing");
 		console.error("       arguments... Arguments to pass");
+		console.error("       --test       Run the *.test.lisp files in paths (default: .)");
+		console.error("       --tap        Give test results in TAP format");
+		console.error("       --fmt        Print the *.lisp files in paths formatted (default: .)");
+		console.error("       --check      List files that are not formatted, failing if any");
+		console.error("       --write      Format files in place");
+		console.error("       --serve port|socket");
+		console.error("                    Serve REPL sessions on a port on localhost, or a Unix");
+		console.error("                    domain socket");
+		console.error("       --lsp        Run a language server for editors on stdin and stdout");
+		console.error("       --lint       Report likely mistakes in the *.lisp files in paths (default: .)");
+		console.error("       --json       Give lint findings as JSON");
+	} else if(lintMode) {
+		var paths = (programFile === undefined) ? ["."] : [programFile].concat(programArguments);
+		var findings = [];
+		FindSourceFiles(paths, ".lisp").forEach(file => {
+			try {
+				new Analysis(fs.readFileSync(file, 'utf8'), file).diagnostics.forEach(D => findings.push({
+					file: file,
+					line: D.location ? D.location.line : 1,
+					column: D.location ? D.location.column : 1,
+					severity: D.severity,
+					code: D.code,
+					message: D.message,
+				}));
+			} catch (e) {
+				findings.push({ file: file, line: 1, column: 1, severity: 'error', code: 'read', message: e.message });
+			}
+		});
+		if (lintFormat === 'json')
+			console.log(JSON.stringify(findings, null, 2));
+		else
+			findings.forEach(F => console.log(F.file + ":" + F.line + ":" + F.column + ": " + F.severity + ": " + F.message + " [" + F.code + "]"));
+		if (findings.some(F => F.severity !== 'information'))
+			process.exitCode = 1;
+	} else if(lspMode) {
+		new LanguageServer(process.stdin, process.stdout).listen();
+	} else if(serveAddress !== undefined) {
+		var server = new ReplServer({ evaluator: evaluator, debug: debugMode });
+		server.listen(serveAddress, () => console.error("REPL server listening on " + server.address()));
+		server.server.on('error', e => {
+			console.error(e.message);
+			process.exitCode = 1;
+		});
+		// Remove a socket file when stopped
+		process.once('SIGINT', () => server.close(() => process.exit()));
+	} else if(fmtMode !== undefined) {
+		var paths = (programFile === undefined) ? ["."] : [programFile].concat(programArguments);
+		FindSourceFiles(paths, ".lisp").forEach(file => {
+			try {
+				var code = fs.readFileSync(file, 'utf8');
+				var formatted = Format(code, file);
+				if (fmtMode === 'print') {
+					process.stdout.write(formatted);
+				} else if (formatted !== code) {
+					console.log(file);
+					if (fmtMode === 'write')
+						fs.writeFileSync(file, formatted);
+					else
+						process.exitCode = 1;
+				}
+			} catch (e) {
+				console.error(file + ": " + LocatedMessage(e));
+				process.exitCode = 1;
+			}
+		});
+	} else if(testMode) {
+		SetEvaluator(evaluator);
+		SetDebug(debugMode);
+		var paths = (programFile === undefined) ? [] : [programFile].concat(programArguments);
+		var failed = e => {
+			ReportUncaught(e);
+			process.exitCode = 1;
+		};
+		try {
+			// A Promise of the number failed if any test is asynchronous
+			Promise.resolve(Require(path.join(RuntimeDirectory, "module", "test.lisp"))['run-files'](paths, testFormat))
+				.then(failures => {
+					if (failures > 0)
+						process.exitCode = 1;
+				}, failed);
+		} catch (e) {
+			failed(e);
+		}
 	} else {
 		// Report late debug messages
 		if (timeMode)
 			DebugLateTimings.forEach(T => console.error(T));
+		SetEvaluator(evaluator);
 		SetDebug(debugMode);
 		var fileContent = fs.readFileSync(programFile, 'utf8');
 		var env = new Environment(StandardEnvironment);
@@ -705,11 +3567,32 @@ function Main () {
 		env.define('exports', {});
 		start = new Date();
 		// Use exports.Parse, as core loads in a new parser
-		var code = LispyParse(fileContent);
+		var code = LispyParse(fileContent, programFile);
 		var now = new Date();
 		if (timeMode) console.error("Parsed in " + (now - start) + "ms");
 		start = now;
-		Eval(code, env);
+		if (profileMode) {
+			var profiler = new Profiler().start();
+			process.on('exit', () => {
+				profiler.stop();
+				console.error(profiler.table());
+				if (profileFile !== undefined)
+					profiler.write(profileFile);
+			});
+		}
+		var uncaught = e => {
+			ReportUncaught(e);
+			process.exitCode = 1;
+		};
+		try {
+			// Code that awaits at the top level is run asynchronously
+			if (ContainsAwait(code))
+				AsyncEval(code, env).catch(uncaught);
+			else
+				Eval(code, env);
+		} catch (e) {
+			uncaught(e);
+		}
 		if (timeMode) {
 			now = new Date();
 			console.error("Executed in " + (now - start) + "ms");
@@ -722,25 +3605,153 @@ function Main () {
 	}
 }
 
-var DebugLateTimings = [];
-var StandardEnvironment = new Environment();
-AddStdLib(StandardEnvironment);
-var CoreEnvironment = new Environment(StandardEnvironment);
-// Load core.lisp
-(function () {
+// Files in paths, searching directories for files ending in suffix
+function FindSourceFiles (paths, suffix) {
+	var files = [];
+	paths.forEach(P => {
+		if (!fs.statSync(P).isDirectory())
+			return files.push(P);
+		fs.readdirSync(P).sort().forEach(name => {
+			var full = path.join(P, name);
+			if (name.startsWith(".") || name === "node_modules")
+				return;
+			if (fs.statSync(full).isDirectory())
+				files.push(...FindSourceFiles([full], suffix));
+			else if (name.endsWith(suffix))
+				files.push(full);
+		});
+	});
+	return files;
+}
+
+// ===============================================
+// Interpreters
+//
+// An Interpreter has its own environments, module cache, evaluator, debug
+// state, parser, reader syntaxes, debugger and standard streams. The module-level variables
+// holding these are those of the active interpreter: Interpreter.run
+// makes an interpreter active while it runs, then restores the one that
+// was. Lambdas are called from JavaScript in the interpreter that created
+// them, and code that awaits resumes in the interpreter that ran it.
+//
+// The exported Eval, Require, SetDebug and SetEvaluator use the default
+// interpreter, which is active unless another is running.
+// ===============================================
+var StandardEnvironment, CoreEnvironment;
+var Stdin = process.stdin, Stdout = process.stdout, Stderr = process.stderr;
+var ActiveInterpreter = undefined;
+// Write a line to the standard output or error of the active interpreter,
+// formatted as console.log does
+function WriteOut (...args) { Stdout.write(util.format(...args) + "\n"); }
+function WriteErr (...args) { Stderr.write(util.format(...args) + "\n"); }
+function SaveInterpreterState () {
+	return {
+		Eval: Eval, BaseEval: BaseEval, debugMode: debugMode, depth: depth,
+		LispyParse: LispyParse, TheDebugger: TheDebugger, ReaderSyntaxes: ReaderSyntaxes,
+		StandardEnvironment: StandardEnvironment, CoreEnvironment: CoreEnvironment,
+		Stdin: Stdin, Stdout: Stdout, Stderr: Stderr,
+	};
+}
+function LoadInterpreterState (state) {
+	Eval = state.Eval; BaseEval = state.BaseEval;
+	debugMode = state.debugMode; depth = state.depth;
+	LispyParse = state.LispyParse; TheDebugger = state.TheDebugger;
+	ReaderSyntaxes = state.ReaderSyntaxes;
+	StandardEnvironment = state.StandardEnvironment; CoreEnvironment = state.CoreEnvironment;
+	Stdin = state.Stdin; Stdout = state.Stdout; Stderr = state.Stderr;
+}
+class Interpreter {
+	// options:
+	//   evaluator        Evaluator to use, defaults to normal
+	//   debug            Trace evaluation to stderr
+	//   stdin            Streams used by stdin, print and log, and for
+	//   stdout           tracing. Default to those of the process.
+	//   stderr
+	constructor(options) {
+		options = options || {};
+		var standard = AddStdLib(new Environment());
+		this.state = {
+			Eval: NormalEval, BaseEval: NormalEval, debugMode: false, depth: 1,
+			LispyParse: Parse, TheDebugger: new Debugger(), ReaderSyntaxes: new Map(ReaderBuiltinSyntaxes),
+			StandardEnvironment: standard, CoreEnvironment: new Environment(standard),
+			Stdin:  options.stdin  || process.stdin,
+			Stdout: options.stdout || process.stdout,
+			Stderr: options.stderr || process.stderr,
+		};
+		this.env = new Environment(standard); // used by eval if none is given
+		this.run(() => {
+			if (options.evaluator !== undefined)
+				SetEvaluator(options.evaluator);
+			LoadCore(CoreEnvironment, this.timings = []);
+			debugMode = SetDebug(!!options.debug);
+		});
+	}
+	get StandardEnvironment() { return this.state.StandardEnvironment; }
+	get CoreEnvironment() { return this.state.CoreEnvironment; }
+	// Call f with this interpreter active
+	run(f) {
+		if (ActiveInterpreter === this)
+			return f();
+		var outer = ActiveInterpreter;
+		if (outer !== undefined)
+			outer.state = SaveInterpreterState();
+		var outerState = (outer !== undefined) ? outer.state : SaveInterpreterState();
+		LoadInterpreterState(this.state);
+		ActiveInterpreter = this;
+		try {
+			return f();
+		} finally {
+			this.state = SaveInterpreterState();
+			LoadInterpreterState(outerState);
+			ActiveInterpreter = outer;
+		}
+	}
+	// Evaluate code, parsing it first if a string, in env or this
+	// interpreter's own environment
+	eval(code, env, evaluator) {
+		return this.run(() => {
+			if (typeof code === 'string')
+				code = LispyParse(code);
+			return EvalWith(code, env || this.env, evaluator);
+		});
+	}
+	parse(code, file) { return this.run(() => LispyParse(code, file)); }
+	require(path) { return this.run(() => Require(path)); }
+	setDebug(debug) { return this.run(() => debugMode = SetDebug(!!debug)); }
+	setEvaluator(name) { return this.run(() => SetEvaluator(name)); }
+}
+function CreateInterpreter (options) {
+	return new Interpreter(options);
+}
+// Load core.lisp into env, recording how long it took in timings
+function LoadCore (env, timings) {
 	var start = new Date();
-	var coreContent = fs.readFileSync(path.join(RuntimeDirectory, "core.lisp"), 'utf8');
-	var coreParsed  = Parse(coreContent);
+	var corePath    = path.join(RuntimeDirectory, "core.lisp");
+	var coreContent = fs.readFileSync(corePath, 'utf8');
+	var coreParsed  = Parse(coreContent, corePath);
 	var now = new Date();
-	DebugLateTimings.push("Core parsed in " + (now - start) + "ms");
+	timings.push("Core parsed in " + (now - start) + "ms");
 	start = now;
-	var coreEvaluate= Eval(coreParsed, CoreEnvironment);
-	DebugLateTimings.push("Core evaluated in " + (now - start) + "ms");
-})();
+	Eval(coreParsed, env);
+	timings.push("Core evaluated in " + (new Date() - start) + "ms");
+}
+
+var DefaultInterpreter = new Interpreter();
+LoadInterpreterState(DefaultInterpreter.state);
+ActiveInterpreter = DefaultInterpreter;
+var DebugLateTimings = DefaultInterpreter.timings;
 
 // Require a Lispy module like you would a NodeJS module
+// Modules are found in the same way as import, including installed packages
+// in node_modules directories above the current directory.
+// Modules that await at the top level return a Promise of the module.
 function Require (path) {
 	var module = CoreEnvironment.get('get-module')(path);
+	if (module instanceof Promise)
+		return module.then(StripModuleNames);
+	return StripModuleNames(module);
+}
+function StripModuleNames (module) {
 	var result = {};
 	// Strip the module name from all keys
 	Object.keys(module).forEach(key => {
@@ -749,20 +3760,1001 @@ function Require (path) {
 	return result;
 }
 
+// ===============================================
+// REPL server
+//
+// Serves REPL sessions over TCP on localhost, or a Unix domain socket, so
+// that editors can send code to a running Lispy. Requests and responses
+// are JSON objects, one per line. Each session evaluates in a worker
+// thread with its own interpreter and REPL environment, so one busy
+// evaluating does not hold up the others, and can be interrupted.
+//
+// A request gives an op, and optionally an id to copy to its response and
+// the session to use. Without a session, eval and complete use one created
+// for the connection.
+//   {"op": "clone"}                            gives {"session": Id}
+//   {"op": "eval", "code": Code, "file": F}    gives {"value": V, "out": Out, "err": Err, "ms": Ms}
+//   {"op": "complete", "line": Line}           gives {"word": Word, "completions": [Name...]}
+//   {"op": "interrupt"}                        gives {"interrupted": Boolean}
+//   {"op": "close"}
+// Responses have a status of "ok" or "error", with the error as
+// {"name", "message", "stack", "location"}. A session's requests are
+// handled in turn; interrupt stops the one being handled. Output written
+// between requests is sent as {"session": Id, "out": Out} or "err".
+// ===============================================
+class ReplServer {
+	// options:
+	//   evaluator        Evaluator sessions use, defaults to normal
+	//   debug            Trace evaluation to each session's err output
+	constructor(options) {
+		this.options = options || {};
+		this.sessions = new Map(); // by id
+		this.connections = new Set();
+		this.nextSession = 1;
+		this.server = net.createServer(socket => this.connect(socket));
+	}
+	toString() { return '#ReplServer'; }
+	// Listen on address: a port number on localhost, or a socket path
+	listen(address, callback) {
+		if (/^\d+$/.test(String(address)))
+			this.server.listen(Number(address), '127.0.0.1', callback);
+		else
+			this.server.listen(String(address), callback);
+		return this;
+	}
+	address() {
+		var address = this.server.address();
+		return (typeof address === 'string') ? address : address.address + ":" + address.port;
+	}
+	close(callback) {
+		this.connections.forEach(C => C.socket.destroy());
+		this.sessions.forEach(S => S.close());
+		this.server.close(callback);
+	}
+	connect(socket) {
+		var connection = { socket: socket, session: undefined, sessions: [] };
+		var buffered = "";
+		this.connections.add(connection);
+		socket.setEncoding('utf8');
+		socket.on('data', data => {
+			var lines = (buffered + data).split("\n");
+			buffered = lines.pop();
+			lines.forEach(line => {
+				if (line.trim() !== "")
+					this.request(connection, line);
+			});
+		});
+		socket.on('error', () => {});
+		socket.on('close', () => {
+			this.connections.delete(connection);
+			connection.sessions.forEach(S => S.close());
+		});
+	}
+	send(connection, response) {
+		if (!connection.socket.destroyed)
+			connection.socket.write(JSON.stringify(response) + "\n");
+	}
+	// Start a session owned by connection, closed when it is
+	open(connection) {
+		var id = String(this.nextSession++);
+		var session = new ReplSession(id, this.options, message => this.send(connection, message));
+		this.sessions.set(id, session);
+		connection.sessions.push(session);
+		session.worker.on('exit', () => {
+			this.sessions.delete(id);
+			if (connection.session === session)
+				connection.session = undefined;
+		});
+		return session;
+	}
+	request(connection, line) {
+		var request;
+		try {
+			request = JSON.parse(line);
+		} catch (e) {
+			return this.send(connection, ReplServer.ErrorResponse(new InvalidArgumentError("Malformed request: " + e.message)));
+		}
+		if (request === null || typeof request !== 'object')
+			return this.send(connection, ReplServer.ErrorResponse(new InvalidArgumentError("Requests must be objects")));
+		var reply = response => this.send(connection, Object.assign({ id: request.id }, response));
+		var session;
+		if (request.op === 'clone')
+			return reply({ status: 'ok', session: this.open(connection).id });
+		if (request.session !== undefined) {
+			session = this.sessions.get(String(request.session));
+			if (session === undefined)
+				return reply(ReplServer.ErrorResponse(new InvalidArgumentError("Unknown session: " + request.session)));
+		} else if (request.op === 'eval' || request.op === 'complete') {
+			session = connection.session = connection.session || this.open(connection);
+		} else if (connection.session !== undefined) {
+			session = connection.session;
+		}
+		switch (request.op) {
+			case 'eval':
+			case 'complete':
+				return session.post(request, reply);
+			case 'interrupt':
+				return reply({ status: 'ok', session: session && session.id, interrupted: session !== undefined && session.interrupt() });
+			case 'close':
+				if (session !== undefined)
+					session.close();
+				return reply({ status: 'ok', session: session && session.id });
+		}
+		reply(ReplServer.ErrorResponse(new InvalidArgumentError("Unknown op: " + request.op)));
+	}
+}
+ReplServer.ErrorResponse = function (e) {
+	var error;
+	if (e instanceof Error) {
+		error = { name: e.name, message: e.message, stack: e.stack + (e.lispyStack ? "\n" + e.lispyStack : "") };
+		if (ErrorLocation(e) !== undefined)
+			error.location = to_s(ErrorLocation(e));
+	} else {
+		error = { name: "Error", message: to_string(e, true) };
+	}
+	return { status: 'error', error: error };
+};
+
+// The server's side of a session, whose worker thread runs ServeReplSession
+class ReplSession {
+	constructor(id, options, output) {
+		this.id = id;
+		this.output = output;      // called with output written between requests
+		this.pending = new Map();  // replies to the requests sent to the worker, by number
+		this.count = 0;
+		// Holds the number of the request to interrupt, which the worker checks
+		// while evaluating, as it can not receive messages until done
+		this.interrupted = new Int32Array(new SharedArrayBuffer(4));
+		this.worker = new worker_threads.Worker(__filename, { workerData: {
+			replSession: id, interrupted: this.interrupted,
+			evaluator: options.evaluator || 'normal', debug: !!options.debug,
+		}});
+		this.worker.on('message', message => {
+			var reply = this.pending.get(message.n);
+			if (reply === undefined)
+				return this.output(Object.assign({ session: this.id }, message));
+			this.pending.delete(message.n);
+			delete message.n;
+			reply(Object.assign({ session: this.id }, message));
+		});
+		this.worker.on('error', e => this.output(Object.assign({ session: this.id }, ReplServer.ErrorResponse(e))));
+		this.worker.on('exit', () => {
+			this.pending.forEach(reply => reply(Object.assign({ session: this.id },
+				ReplServer.ErrorResponse(new InvalidOperationError("session closed")))));
+			this.pending.clear();
+		});
+	}
+	post(request, reply) {
+		var n = ++this.count;
+		this.pending.set(n, reply);
+		this.worker.postMessage({ n: n, op: request.op, code: request.code,
+			file: request.file, line: request.line });
+	}
+	// Interrupt the request being handled, if any
+	interrupt() {
+		if (this.pending.size === 0)
+			return false;
+		var n = Math.min(...this.pending.keys());
+		Atomics.store(this.interrupted, 0, n);
+		// A request awaiting a Promise is stopped by message
+		this.worker.postMessage({ n: n, op: 'interrupt' });
+		return true;
+	}
+	close() { this.worker.terminate(); }
+}
+
+// Checks whether the request being handled is interrupted, as a Sandbox
+// checks its limits, for every evaluation step
+class ReplInterrupt {
+	constructor(interrupted) {
+		this.interrupted = interrupted;
+		this.request = 0; // number of the request being handled
+	}
+	step() {
+		if (this.request !== 0 && Atomics.load(this.interrupted, 0) === this.request)
+			throw new InterruptedError();
+	}
+}
+
+// Handle the requests of a session, in its worker thread
+function ServeReplSession (data) {
+	var port = worker_threads.parentPort;
+	var interrupt = new ReplInterrupt(data.interrupted);
+	var env = new Environment(StandardEnvironment);
+	var complete = Require("complete");
+	var queue = [];
+	var current = undefined;
+	SetEvaluator(data.evaluator);
+	debugMode = SetDebug(data.debug);
+	// Output is returned with the request being handled, or sent as written
+	var capture = key => ({ write: text => {
+		if (current !== undefined)
+			current[key] += text;
+		else
+			port.postMessage({ [key]: String(text) });
+		return true;
+	}});
+	Stdout = capture('out');
+	Stderr = capture('err');
+	StepHook = interrupt;
+	var handle = request => {
+		if (request.op === 'complete') {
+			var split = complete['split-line'](String(request.line || ""));
+			return { status: 'ok', word: split[1], completions: complete.matches(split[1], env) };
+		}
+		if (typeof request.code !== 'string')
+			throw new InvalidArgumentError("eval expects code as a string");
+		var code = LispyParse(request.code, request.file);
+		if (ContainsAwait(code))
+			return AsyncEval(code, env).then(value => ({ status: 'ok', value: to_string(value, true) }));
+		return { status: 'ok', value: to_string(Eval(code, env), true) };
+	};
+	var finish = (request, response) => {
+		if (current !== request)
+			return; // interrupted while awaiting
+		current = undefined;
+		interrupt.request = 0;
+		port.postMessage(Object.assign({ n: request.n }, response, {
+			out: request.out, err: request.err,
+			ms: Math.round((performance.now() - request.start) * 1000) / 1000,
+		}));
+		next();
+	};
+	var next = () => {
+		if (current !== undefined || queue.length === 0)
+			return;
+		var request = current = queue.shift();
+		request.out = request.err = "";
+		request.start = performance.now();
+		interrupt.request = request.n;
+		var response;
+		try {
+			response = handle(request);
+		} catch (e) {
+			response = ReplServer.ErrorResponse(e);
+		}
+		if (response instanceof Promise)
+			response.then(R => finish(request, R), e => finish(request, ReplServer.ErrorResponse(e)));
+		else
+			finish(request, response);
+	};
+	port.on('message', message => {
+		if (message.op !== 'interrupt') {
+			queue.push(message);
+			next();
+		} else if (current !== undefined && current.n === message.n) {
+			finish(current, ReplServer.ErrorResponse(new InterruptedError()));
+		}
+	});
+	// Errors in callbacks are reported rather than ending the session
+	process.on('uncaughtException', e => port.postMessage({ err: e.stack + "\n" }));
+}
+
+// ===============================================
+// Source analysis
+//
+// An Analysis reads a file without running it, and resolves each symbol
+// that would be evaluated to the definition binding it: a define, an
+// argument, a match pattern variable, a name imported from a module, or a
+// global of the standard environment. Scopes follow the evaluator: each
+// lambda, macro and match clause has its own, while defines in begin, if
+// and try belong to the enclosing one. A name defined anywhere in a scope
+// is visible throughout it, as lambdas often refer to later definitions.
+//
+// The arguments of macro calls may not be evaluated, so unbound symbols in
+// them are not reported. Imported modules are analysed for their exports,
+// unless they make exports with their own macros or by changing exports
+// directly, in which case no unbound symbols are reported.
+//
+// Besides parser errors and unbound symbols, the diagnostics report set!
+// of undefined names, calls with the wrong number of arguments for a
+// lambda or macro, or too many for a native procedure, definitions that
+// shadow a global, and defines that are never used.
+// ===============================================
+class AnalysisDefinition {
+	constructor(name, kind, symbol, value) {
+		this.name   = name;
+		this.kind   = kind;   // 'define', 'argument', 'pattern', 'record' or 'global'
+		this.symbol = symbol; // the symbol naming it, if in a file
+		this.value  = value;  // the form giving its value, or a global's value
+	}
+	get location() { return LocationOf(this.symbol); }
+	// The argument list, if defined as a lambda or macro: a list of forms,
+	// or a symbol capturing all arguments
+	args() {
+		var value = this.value;
+		if (this.kind === 'global') {
+			if (typeof value === 'function' && value.__proto__ === Lambda)
+				return value.lambda.args;
+			if (value instanceof Macro)
+				return value.args;
+			if (typeof value === 'function')
+				return NativeParameters(value);
+			return undefined;
+		}
+		if (AnalysisLambdaForms.indexOf(HeadName(value)) !== -1)
+			return value[1];
+		return undefined;
+	}
+	isMacro() {
+		if (this.kind === 'global')
+			return this.value instanceof Macro;
+		var head = HeadName(this.value);
+		return head === 'macro' || head === 'hygienic-macro';
+	}
+	// (Name Args...) for lambdas and macros, otherwise the name. Imported
+	// names may be given as they are referred to.
+	signature(name) {
+		var args = this.args();
+		name = name || this.name;
+		if (args === undefined)
+			return name;
+		if (args.constructor === Symbol)
+			return "(" + name + " &rest " + args.symbol + ")";
+		return "(" + [name].concat(args.map(FormText)).join(" ") + ")";
+	}
+}
+var AnalysisLambdaForms = ['lambda', 'async', 'macro', 'hygienic-macro'];
+// Names that scripts and modules are given besides the standard environment
+var AnalysisImplicitNames = ['argv', 'exports', '__main__'];
+// Code as written, with [...] and {...} for lists and tuples
+function FormText (X) {
+	if (X !== undefined && X !== null && X.constructor === Symbol)
+		return X.symbol;
+	if (X !== undefined && X !== null && X.constructor === Array) {
+		var head = HeadName(X);
+		if (head === 'list')
+			return "[" + X.slice(1).map(FormText).join(" ") + "]";
+		if (head === 'tuple')
+			return "{" + X.slice(1).map(FormText).join(" ") + "}";
+		return "(" + X.map(FormText).join(" ") + ")";
+	}
+	return to_string(X, true);
+}
+// The parameter names of a JavaScript function, as an argument list
+function NativeParameters (f) {
+	var source = Function.prototype.toString.call(f);
+	var match = source.match(/^(?:async\s*)?(?:function\b[^(]*)?\(([^)]*)\)/) || source.match(/^(?:async\s+)?([\w$]+)\s*=>/);
+	if (match === null)
+		return undefined;
+	var args = [], optional = false;
+	match[1].split(",").map(P => P.trim()).filter(P => P !== "").forEach(P => {
+		if (P.startsWith("...")) {
+			args.push(new Symbol('&rest'), new Symbol(P.substr(3)));
+			return;
+		}
+		if (P.indexOf("=") !== -1 && !optional) {
+			optional = true;
+			args.push(new Symbol('&optional'));
+		}
+		args.push(new Symbol(P.replace(/\s*=.*$/, "")));
+	});
+	return args;
+}
+class AnalysisScope {
+	constructor(parent) {
+		this.parent = parent;
+		this.names  = new Map(); // name to AnalysisDefinition
+	}
+	lookup(name) {
+		for (var scope = this; scope !== undefined; scope = scope.parent)
+			if (scope.names.has(name))
+				return scope.names.get(name);
+		return undefined;
+	}
+}
+class Analysis {
+	constructor(code, file) {
+		this.code  = code;
+		this.file  = file;
+		this.form  = undefined;   // the form the file evaluates
+		this.diagnostics = [];    // {severity, code, message, location, length}
+		this.definitions = [];    // AnalysisDefinitions made by the file
+		this.occurrences = [];    // {symbol, definition, reference} for each name defined or resolved
+		this.imports = [];        // {name, file, analysis} for each import
+		this.exports = new Map(); // exported name to AnalysisDefinition
+		this.exportsKnown = true; // whether exports has all the module exports
+		this.open  = false;       // whether names may be bound that can not be known
+		this.scope = new AnalysisScope(undefined); // the file's own scope
+		this.scopes = [this.scope];
+		this.pending = [];        // references, resolved once all definitions are known
+		this.pendingExports = [];
+		this.optional = new Set(); // names checked for with defined?
+		this.calls = [];          // {X, scope} for calls of a name, checked for arity
+		try {
+			var reader = new Reader(code, file, ReadTable.Standard);
+			if (reader.peek() !== undefined)
+				this.form = read_from(reader);
+			var rest = reader.peek();
+			if (rest !== undefined)
+				this.diagnose('warning', 'ignored', "Only the first form of a file is evaluated", rest.location, rest.value.length);
+		} catch (e) {
+			if (!(e instanceof ParserError))
+				throw e;
+			this.diagnose('error', 'parse', e.message, e.location, 1);
+		}
+		if (this.form !== undefined) {
+			this.walk(this.form, this.scope, false);
+			this.resolve();
+		}
+	}
+	toString() { return '#Analysis'; }
+	diagnose(severity, code, message, location, length) {
+		this.diagnostics.push({ severity: severity, code: code, message: message, location: location, length: length });
+	}
+	define(symbol, kind, scope, value) {
+		if (symbol === undefined || symbol === null || symbol.constructor !== Symbol)
+			return;
+		var definition = scope.names.get(symbol.symbol);
+		// A name defined again is the same variable
+		if (definition === undefined || kind !== 'define' || definition.kind !== 'define') {
+			definition = new AnalysisDefinition(symbol.symbol, kind, symbol, value);
+			scope.names.set(symbol.symbol, definition);
+			this.definitions.push(definition);
+			var global = Analysis.Globals().get(symbol.symbol);
+			if (global !== undefined && AnalysisImplicitNames.indexOf(symbol.symbol) === -1 &&
+			    !SameLocation(global.location, symbol.location))
+				this.diagnose('information', 'shadow', symbol.symbol + " shadows a global of the same name", symbol.location, symbol.symbol.length);
+		}
+		this.occurrences.push({ symbol: symbol, definition: definition, reference: false });
+	}
+	reference(symbol, scope, lenient, assigned) {
+		if (symbol !== undefined && symbol !== null && symbol.constructor === Symbol)
+			this.pending.push({ symbol: symbol, scope: scope, lenient: lenient, assigned: !!assigned });
+	}
+	// The definition of name in scope, as far as known
+	lookup(name, scope) {
+		return scope.lookup(name) || Analysis.Globals().get(name);
+	}
+	walk(X, scope, lenient) {
+		if (X === undefined || X === null)
+			return;
+		if (X.constructor === Symbol)
+			return this.reference(X, scope, lenient);
+		if (X.constructor !== Array || X.length === 0)
+			return;
+		switch (HeadName(X)) {
+			case 'quote': // (quote Exp)
+				return;
+			case 'quasiquote': // (quasiquote Template)
+				return this.walkTemplate(X[1], scope, lenient, 1);
+			case 'define': // (define Name Value)
+				this.define(X[1], 'define', scope, X[2]);
+				return this.walk(X[2], scope, lenient);
+			case 'defined?': // (defined? Name)
+				// A name checked for may be left undefined
+				if (IsParameterName(X[1]))
+					this.optional.add(to_s(X[1]));
+				return this.reference(X[1], scope, true);
+			case 'set!': // (set! Name Value)
+				this.reference(X[1], scope, lenient, true);
+				return this.walk(X[2], scope, lenient);
+			case 'lambda': case 'async': case 'macro': case 'hygienic-macro': // (lambda Args Body)
+				if (HeadName(X).endsWith('macro') && ContainsSymbol(X[2], 'export'))
+					this.exportsKnown = false;
+				return this.walkLambda(X[1], X[2], scope, lenient);
+			case 'match': // (match Exp Clauses...)
+				this.walk(X[1], scope, lenient);
+				X.slice(2).forEach(clause => {
+					if (clause === undefined || clause === null || clause.constructor !== Array)
+						return;
+					var inner = new AnalysisScope(scope);
+					this.scopes.push(inner);
+					this.pattern(clause[0], inner);
+					clause.slice(1).forEach(Y => IsSymbolNamed(Y, 'when') || this.walk(Y, inner, lenient));
+				});
+				return;
+			case 'if': case 'begin': case 'try': case 'await':
+				return X.slice(1).forEach(Y => this.walk(Y, scope, lenient));
+			case 'import': // (import ModuleName Options...)
+				return this.import(X, scope);
+			case 'export': // (export ModuleName Names...)
+				this.export(X, scope);
+				break;
+		}
+		var head = X[0];
+		if (head !== undefined && head !== null && head.constructor === Symbol)
+			this.calls.push({ X: X, scope: scope });
+		var definition = IsParameterName(head) ? this.lookup(head.symbol, scope) : undefined;
+		if (definition !== undefined && definition.isMacro()) {
+			// (catch Args Body) is a lambda
+			if (head.symbol === 'catch') {
+				this.reference(head, scope, lenient);
+				return this.walkLambda(X[1], X[2], scope, lenient);
+			}
+			// (defrecord Name (Field...)) defines the names of the record
+			if (head.symbol === 'defrecord') {
+				this.reference(head, scope, lenient);
+				return this.record(X[1], X[2], scope);
+			}
+			return X.forEach(Y => this.walk(Y, scope, true));
+		}
+		X.forEach(Y => this.walk(Y, scope, lenient));
+	}
+	walkTemplate(X, scope, lenient, depth) {
+		if (X === undefined || X === null || X.constructor !== Array)
+			return;
+		switch (HeadName(X)) {
+			case 'unquote': case 'unquote-splicing':
+				if (depth === 1)
+					return this.walk(X[1], scope, lenient);
+				return this.walkTemplate(X[1], scope, lenient, depth - 1);
+			case 'quasiquote':
+				return this.walkTemplate(X[1], scope, lenient, depth + 1);
+		}
+		X.forEach(Y => this.walkTemplate(Y, scope, lenient, depth));
+	}
+	// Define the names defrecord does, each located at the record name or
+	// its field, and given as a lambda if a procedure
+	record(name, fields, scope) {
+		if (!IsParameterName(name) || fields === undefined || fields === null || fields.constructor !== Array)
+			return;
+		var define = (symbol, suffix, args) =>
+			this.define(SetLocation(new Symbol(to_s(name) + suffix), LocationOf(symbol)), 'record', scope,
+				args && [new Symbol('lambda'), args]);
+		define(name, "");
+		define(name, ":new", fields);
+		define(name, "?", [new Symbol('Value')]);
+		fields.filter(IsParameterName).forEach(field => {
+			define(field, ":" + to_s(field), [new Symbol('Record')]);
+			define(field, ":with-" + to_s(field), [new Symbol('Record'), new Symbol('Value')]);
+		});
+	}
+	walkLambda(args, body, scope, lenient) {
+		var inner = new AnalysisScope(scope);
+		this.scopes.push(inner);
+		this.parameters(args, inner, lenient);
+		this.walk(body, inner, lenient);
+	}
+	// Define the names of an argument list, see ParameterList for the shapes
+	parameters(args, scope, lenient) {
+		if (args !== undefined && args !== null && args.constructor === Symbol)
+			return this.define(args, 'argument', scope);
+		if (args === undefined || args === null || args.constructor !== Array)
+			return;
+		var head = HeadName(args);
+		if (head === 'list' || head === 'tuple')
+			args = args.slice(1);
+		var optional = false;
+		args.forEach(name => {
+			if (IsSymbolNamed(name, '&optional'))
+				optional = true;
+			else if (IsSymbolNamed(name, '&rest') || IsSymbolNamed(name, '.'))
+				return;
+			else if (optional && name !== undefined && name !== null && name.constructor === Array) {
+				// (Name Default)
+				this.parameters(name[0], scope, lenient);
+				this.walk(name[1], scope, lenient);
+			} else
+				this.parameters(name, scope, lenient);
+		});
+	}
+	// Define the variables of a match pattern
+	pattern(P, scope) {
+		if (P !== undefined && P !== null && P.constructor === Symbol) {
+			if (P.symbol !== '_' && MatchLiterals.indexOf(P.symbol) === -1)
+				this.define(P, 'pattern', scope);
+			return;
+		}
+		if (P === undefined || P === null || P.constructor !== Array)
+			return;
+		switch (HeadName(P)) {
+			case 'list': case 'tuple':
+				return P.slice(1).forEach(Q => IsSymbolNamed(Q, '&rest') || this.pattern(Q, scope));
+			case 'dict':
+				for (var i = 2; i < P.length; i += 2)
+					this.pattern(P[i], scope);
+		}
+	}
+	import(X, scope) {
+		var name = Analysis.LiteralName(X[1]);
+		if (name === undefined) {
+			this.walk(X[1], scope, false);
+			this.open = true;
+			return;
+		}
+		var file = Analysis.FindModule(name, this.file);
+		if (file === undefined) {
+			this.diagnose('warning', 'import', "Module not found: " + name, LocationOf(X[1]) || LocationOf(X), name.length);
+			this.open = true;
+			return;
+		}
+		var analysis = Analysis.File(file);
+		this.imports.push({ name: name, file: file, analysis: analysis });
+		if (analysis === undefined || !analysis.exportsKnown) {
+			this.open = true;
+			return;
+		}
+		var keys = Array.from(analysis.exports.keys()), prefix = "";
+		for (var i = 2; i + 1 < X.length; i += 2) {
+			var option = IsParameterName(X[i]) ? to_s(X[i]) : undefined, value = X[i + 1];
+			var names = (value !== undefined && value !== null && value.constructor === Array) ? value.map(to_s) : [];
+			if (option === 'only')
+				keys = names;
+			else if (option === 'except')
+				keys = keys.filter(K => names.indexOf(K) === -1);
+			else if (option === 'as')
+				prefix = to_s(value) + ":";
+		}
+		keys.forEach(key => {
+			var definition = analysis.exports.get(key);
+			if (definition !== undefined)
+				scope.names.set(prefix + key, definition);
+		});
+	}
+	export(X, scope) {
+		var name = Analysis.LiteralName(X[1]);
+		if (name === undefined) {
+			this.exportsKnown = false;
+			return;
+		}
+		var prefix = (name === "") ? "" : name + ":";
+		X.slice(2).forEach(symbol => {
+			if (symbol !== undefined && symbol !== null && symbol.constructor === Symbol)
+				this.pendingExports.push({ name: prefix + symbol.symbol, symbol: symbol, scope: scope });
+		});
+	}
+	resolve() {
+		this.pending.forEach(P => {
+			var name = P.symbol.symbol;
+			var definition = this.lookup(name, P.scope);
+			if (name === 'exports')
+				this.exportsKnown = false;
+			if (definition !== undefined)
+				this.occurrences.push({ symbol: P.symbol, definition: definition, reference: true });
+			else if (!P.lenient && !this.optional.has(name))
+				P.unbound = true;
+		});
+		if (!this.open)
+			this.pending.filter(P => P.unbound).forEach(P => P.assigned ?
+				this.diagnose('warning', 'set-undefined', "set! of " + P.symbol.symbol + ", which is not defined", P.symbol.location, P.symbol.symbol.length) :
+				this.diagnose('warning', 'unbound', P.symbol.symbol + " is not defined", P.symbol.location, P.symbol.symbol.length));
+		this.calls.forEach(C => {
+			var head = C.X[0];
+			var definition = this.lookup(head.symbol, C.scope);
+			var spec = definition && Analysis.Arity(definition);
+			var count = C.X.length - 1;
+			if (spec !== undefined && (count < spec.required.length ||
+			    (spec.rest === undefined && count > spec.required.length + spec.optional.length)))
+				this.diagnose('warning', 'arity', new ArityError({ name: head.symbol }, spec, count).message, head.location, head.symbol.length);
+		});
+		var used = new Set(this.occurrences.filter(O => O.reference).map(O => O.definition));
+		this.definitions.forEach(D => {
+			if (D.kind === 'define' && !used.has(D) && !D.name.startsWith("_"))
+				this.diagnose('information', 'unused', D.name + " is defined but never used", D.location, D.name.length);
+		});
+		this.pendingExports.forEach(E => {
+			var definition = this.lookup(E.symbol.symbol, E.scope);
+			if (definition !== undefined)
+				this.exports.set(E.name, definition);
+		});
+	}
+	// The symbol occurrence at a line and column, counted from 1
+	at(line, column) {
+		return this.occurrences.find(O => {
+			var location = O.symbol.location;
+			return location !== undefined && location.line === line &&
+				column >= location.column && column <= location.column + O.symbol.symbol.length;
+		});
+	}
+	// Definitions made in the file's own scope
+	topLevel() {
+		return this.definitions.filter(D => this.scope.names.get(D.name) === D);
+	}
+	// Every name that may be used in the file
+	names() {
+		var names = new Map(Analysis.Globals());
+		this.scopes.forEach(S => S.names.forEach((D, name) => names.set(name, D)));
+		return names;
+	}
+}
+// The argument list spec of a definition, if calls to it can be checked.
+// JavaScript functions are only known to take at most their parameters,
+// unless they use arguments.
+Analysis.Arity = function (definition) {
+	var args = definition.args();
+	if (args === undefined || args.constructor !== Array)
+		return undefined;
+	try {
+		var spec = ParameterList(args);
+	} catch (e) {
+		return undefined; // reported when evaluated
+	}
+	if (definition.kind !== 'global' || typeof definition.value !== 'function' || definition.value.__proto__ === Lambda)
+		return spec;
+	if (/\barguments\b/.test(Function.prototype.toString.call(definition.value)))
+		return undefined;
+	return { required: [], optional: spec.required.concat(spec.optional), rest: spec.rest };
+};
+// The name given by a quoted symbol or a string, otherwise undefined
+Analysis.LiteralName = function (X) {
+	if (typeof X === 'string')
+		return X;
+	if (HeadName(X) === 'quote' && IsParameterName(X[1]))
+		return to_s(X[1]);
+	return undefined;
+};
+// The file a module is loaded from, found as import does or relative to
+// the importing file
+Analysis.FindModule = function (name, from) {
+	var found = DefaultInterpreter.CoreEnvironment.get('import-findmodule')(name);
+	if (found !== name || fs.existsSync(found))
+		return found;
+	if (from === undefined)
+		return undefined;
+	return ['.lisp', '', '/index.lisp'].map(S => path.resolve(path.dirname(from), name + S))
+		.find(F => fs.existsSync(F) && fs.statSync(F).isFile());
+};
+// Analyses of files read from disk, kept until they change
+Analysis.Cache = new Map();
+Analysis.File = function (file) {
+	var stat;
+	try {
+		stat = fs.statSync(file);
+	} catch (e) {
+		return undefined;
+	}
+	var cached = Analysis.Cache.get(file);
+	if (cached !== undefined && cached.mtime === stat.mtimeMs)
+		return cached.analysis;
+	// A module that imports itself, directly or not, is seen as giving no exports
+	Analysis.Cache.set(file, { mtime: stat.mtimeMs, analysis: undefined });
+	var analysis = new Analysis(fs.readFileSync(file, 'utf8'), file);
+	Analysis.Cache.set(file, { mtime: stat.mtimeMs, analysis: analysis });
+	return analysis;
+};
+// Definitions of the standard environment, located in core.lisp if there
+Analysis.GlobalDefinitions = undefined;
+Analysis.Globals = function () {
+	if (Analysis.GlobalDefinitions !== undefined)
+		return Analysis.GlobalDefinitions;
+	var globals = Analysis.GlobalDefinitions = new Map();
+	var env = DefaultInterpreter.StandardEnvironment;
+	var coreExports = DefaultInterpreter.CoreEnvironment.get('exports');
+	env.keys().concat(Object.keys(coreExports)).forEach(name =>
+		globals.set(name, new AnalysisDefinition(name, 'global', undefined, (name in coreExports) ? coreExports[name] : env.get(name))));
+	AnalysisImplicitNames.forEach(name => globals.set(name, new AnalysisDefinition(name, 'global')));
+	var core = Analysis.File(path.join(RuntimeDirectory, "core.lisp"));
+	if (core !== undefined)
+		core.topLevel().forEach(D => {
+			if (globals.has(D.name))
+				globals.get(D.name).symbol = D.symbol;
+		});
+	return globals;
+};
+function SameLocation (a, b) {
+	return a !== undefined && b !== undefined && a.line === b.line && a.column === b.column &&
+		path.resolve(a.file || "") === path.resolve(b.file || "");
+}
+function ContainsSymbol (X, name) {
+	if (IsSymbolNamed(X, name))
+		return true;
+	return X !== undefined && X !== null && X.constructor === Array && X.some(Y => ContainsSymbol(Y, name));
+}
+
+// ===============================================
+// Language server
+//
+// Provides editors with diagnostics, completion, go to definition, hover
+// and document symbols for .lisp files, using the Language Server Protocol
+// over standard input and output. Documents are analysed when opened and
+// each time they change.
+// ===============================================
+class LanguageServer {
+	constructor(input, output) {
+		this.input  = input;
+		this.output = output;
+		this.documents = new Map(); // uri to {text, analysis}
+		this.shutdown  = false;
+		this.buffered  = Buffer.alloc(0);
+		this.complete  = Require("complete");
+	}
+	toString() { return '#LanguageServer'; }
+	listen() {
+		this.input.on('data', data => {
+			this.buffered = Buffer.concat([this.buffered, data]);
+			this.read();
+		});
+		return this;
+	}
+	// Handle each complete message: a Content-Length header, then JSON
+	read() {
+		for (;;) {
+			var end = this.buffered.indexOf("\r\n\r\n");
+			if (end === -1)
+				return;
+			var length = this.buffered.toString('ascii', 0, end).match(/Content-Length: *(\d+)/i);
+			if (length === null) {
+				this.buffered = this.buffered.subarray(end + 4);
+				continue;
+			}
+			var start = end + 4;
+			if (this.buffered.length < start + Number(length[1]))
+				return;
+			var body = this.buffered.toString('utf8', start, start + Number(length[1]));
+			this.buffered = this.buffered.subarray(start + Number(length[1]));
+			this.receive(body);
+		}
+	}
+	send(message) {
+		var json = JSON.stringify(Object.assign({ jsonrpc: "2.0" }, message));
+		this.output.write("Content-Length: " + Buffer.byteLength(json) + "\r\n\r\n" + json);
+	}
+	receive(body) {
+		var message;
+		try {
+			message = JSON.parse(body);
+		} catch (e) {
+			return this.send({ id: null, error: { code: -32700, message: e.message } });
+		}
+		var handler = LanguageServer.Methods[message.method];
+		var result;
+		try {
+			if (handler === undefined) {
+				if (message.id !== undefined)
+					this.send({ id: message.id, error: { code: -32601, message: "Unknown method " + message.method } });
+				return;
+			}
+			result = handler.call(this, message.params || {});
+		} catch (e) {
+			if (message.id !== undefined)
+				this.send({ id: message.id, error: { code: -32603, message: e.message } });
+			return;
+		}
+		if (message.id !== undefined)
+			this.send({ id: message.id, result: (result === undefined) ? null : result });
+	}
+	update(uri, text) {
+		var analysis = new Analysis(text, LanguageServer.FilePath(uri));
+		this.documents.set(uri, { text: text, analysis: analysis });
+		this.send({ method: "textDocument/publishDiagnostics", params: {
+			uri: uri,
+			diagnostics: analysis.diagnostics.map(D => ({
+				range: LanguageServer.Range(D.location, D.length),
+				severity: LanguageServer.Severities[D.severity],
+				code: D.code,
+				source: "lispy",
+				message: D.message,
+			})),
+		}});
+	}
+	analysis(uri) {
+		var document = this.documents.get(uri);
+		if (document === undefined)
+			throw new InvalidArgumentError("Document not open: " + uri);
+		return document.analysis;
+	}
+	// The symbol occurrence at an LSP position
+	occurrence(params) {
+		return this.analysis(params.textDocument.uri).at(params.position.line + 1, params.position.character + 1);
+	}
+	completions(params) {
+		var document = this.documents.get(params.textDocument.uri);
+		var line = document.text.split("\n")[params.position.line] || "";
+		var word = this.complete['split-line'](line.substr(0, params.position.character))[1];
+		var items = this.complete.keywords.filter(K => K.startsWith(word))
+			.map(K => ({ label: K, kind: LanguageServer.CompletionKinds.keyword }));
+		document.analysis.names().forEach((definition, name) => {
+			if (name.startsWith(word))
+				items.push({
+					label: name,
+					kind: LanguageServer.CompletionKinds[definition.args() === undefined ? 'variable' : 'function'],
+					detail: definition.signature(name),
+				});
+		});
+		return items;
+	}
+}
+// Methods handled, called with the message params, giving the result
+LanguageServer.Methods = {
+	'initialize': function (params) {
+		return {
+			capabilities: {
+				textDocumentSync: 1, // the full text on each change
+				completionProvider: {},
+				definitionProvider: true,
+				hoverProvider: true,
+				documentSymbolProvider: true,
+			},
+			serverInfo: { name: "lispy" },
+		};
+	},
+	'shutdown': function (params) {
+		this.shutdown = true;
+	},
+	'exit': function (params) {
+		process.exit(this.shutdown ? 0 : 1);
+	},
+	'textDocument/didOpen': function (params) {
+		this.update(params.textDocument.uri, params.textDocument.text);
+	},
+	'textDocument/didChange': function (params) {
+		var changes = params.contentChanges;
+		this.update(params.textDocument.uri, changes[changes.length - 1].text);
+	},
+	'textDocument/didClose': function (params) {
+		this.documents.delete(params.textDocument.uri);
+		this.send({ method: "textDocument/publishDiagnostics", params: { uri: params.textDocument.uri, diagnostics: [] } });
+	},
+	'textDocument/completion': function (params) {
+		return this.completions(params);
+	},
+	'textDocument/definition': function (params) {
+		var occurrence = this.occurrence(params);
+		var location = occurrence && occurrence.definition.location;
+		if (location === undefined || location.file === undefined)
+			return null;
+		return { uri: LanguageServer.FileUri(location.file), range: LanguageServer.Range(location, occurrence.definition.name.length) };
+	},
+	'textDocument/hover': function (params) {
+		var occurrence = this.occurrence(params);
+		if (occurrence === undefined)
+			return null;
+		var definition = occurrence.definition;
+		var text = "```lisp\n" + definition.signature(occurrence.symbol.symbol) + "\n```";
+		if (definition.kind === 'argument' || definition.kind === 'pattern')
+			text += "\n\n" + (definition.kind === 'argument' ? "Argument" : "Pattern variable");
+		else if (definition.location !== undefined)
+			text += "\n\nDefined at " + definition.location;
+		return {
+			contents: { kind: "markdown", value: text },
+			range: LanguageServer.Range(occurrence.symbol.location, occurrence.symbol.symbol.length),
+		};
+	},
+	'textDocument/documentSymbol': function (params) {
+		return this.analysis(params.textDocument.uri).topLevel().map(D => {
+			var range = LanguageServer.Range(D.location, D.name.length);
+			return {
+				name: D.name,
+				detail: D.signature(),
+				kind: D.args() === undefined ? LanguageServer.SymbolKinds.variable : LanguageServer.SymbolKinds.function,
+				range: range,
+				selectionRange: range,
+			};
+		});
+	},
+};
+LanguageServer.Severities = { error: 1, warning: 2, information: 3 };
+LanguageServer.CompletionKinds = { function: 3, variable: 6, keyword: 14 };
+LanguageServer.SymbolKinds = { function: 12, variable: 13 };
+// The LSP range of length characters from a SourceLocation
+LanguageServer.Range = function (location, length) {
+	var line = location ? location.line - 1 : 0;
+	var character = location ? location.column - 1 : 0;
+	return { start: { line: line, character: character }, end: { line: line, character: character + (length || 0) } };
+};
+LanguageServer.FilePath = function (uri) {
+	return uri.startsWith("file:") ? url.fileURLToPath(uri) : uri;
+};
+LanguageServer.FileUri = function (file) {
+	return url.pathToFileURL(path.resolve(file)).href;
+};
+
 var exps = {
 	Symbol: Symbol,
 	Environment: Environment,
 	Lambda: Lambda,
 	Macro: Macro,
 	Tuple: Tuple,
-	Eval: Eval,
+	Record: Record,
+	RecordType: RecordType,
+	Rational: Rational,
+	SourceLocation: SourceLocation,
+	Eval: EvalWith,
+	Compile: Compile,
+	SetEvaluator: SetEvaluator,
 	Require: Require,
 	SetDebug: SetDebug,
 	StdLib: StdLib,
 	AddStdLib: AddStdLib,
+	Sandbox: Sandbox,
+	Interpreter: Interpreter,
+	createInterpreter: CreateInterpreter,
 	StandardEnvironment: StandardEnvironment,
 	CoreEnvironment: CoreEnvironment,
 	Parse: Parse,
+	Reader: Reader,
+	ReadTable: ReadTable,
 	ToS: to_s,
 	ToString: to_string,
 	Main: Main,
@@ -772,13 +4764,28 @@ var exps = {
 	InvalidArgumentError: InvalidArgumentError,
 	InvalidOperationError: InvalidOperationError,
 	UnreachableError: UnreachableError,
+	ArityError: ArityError,
+	ResourceLimitError: ResourceLimitError,
+	InterruptedError: InterruptedError,
+	StackOverflowError: StackOverflowError,
+	MatchError: MatchError,
+	Generator: Generator,
+	Profiler: Profiler,
+	ReplServer: ReplServer,
+	Format: Format,
+	ReadTree: ReadTree,
+	Analysis: Analysis,
+	LanguageServer: LanguageServer,
 	CustomError: CustomError,
 };
 
 for(var key in exps)
 	exports[key] = exps[key];
 
-// If not required as a module, invoke Main
-if (typeof module !== 'undefined' && !module.parent)
+// A REPL server session's worker thread serves its requests, or if not
+// required as a module, invoke Main
+if (!worker_threads.isMainThread && worker_threads.workerData && worker_threads.workerData.replSession !== undefined)
+	ServeReplSession(worker_threads.workerData);
+else if (typeof module !== 'undefined' && !module.parent)
 	Main();
 
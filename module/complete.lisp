@@ -0,0 +1,49 @@
+;; ===============================================
+;; Module: complete
+;;
+;; Completion of the word being typed, shared by the REPL and REPL server.
+;;
+;;   (complete:split-line Line)     Split Line into [Prefix Word], Word being
+;;                                  the text after the last separator
+;;   (complete:matches Word Env)    Keywords and names in Env starting with Word
+;;   (complete:line Line Env)       Completions of Line, as readline expects
+;;   complete:keywords              The special forms, which are always offered
+;; ===============================================
+
+(begin
+	;; Special forms, which are not defined in any environment
+	(define keywords (list "if" "quote" "define" "defined?"
+		"set!" "lambda" "macro" "begin" "try" "quasiquote" "async" "await" "match"
+		"hygienic-macro"))
+	;; This RegExp defines all the separators available in Lispy
+	(define SeparatorRegExp (regexp "( |\\(|\\[|{|\\)|\\]|})"))
+
+	(define names (lambda (Env)
+		(concat keywords (env:keys Env))))
+
+	(define split-line (lambda (Line) (begin
+		;; Split line by separators
+		(define LineSplit (Line 'split SeparatorRegExp))
+		;; We match on only the last word from the line, and the rest of
+		;; the line is rejoined to form the prefix
+		(list
+			(join (LineSplit 'slice 0 (- (length LineSplit) 1)) "")
+			(last LineSplit)))))
+
+	(define matches (lambda (Word Env)
+		(((names Env) 'filter (lambda (C) (C 'startsWith Word))) 'sort)))
+
+	;; return: [ [Candidate...] OriginalLine ]
+	;; Every name is offered if none match, and the line prefix is prepended
+	;; to all results. Funky things happen if we do not do this.
+	(define line (lambda (Line Env) (begin
+		(define Split (split-line Line))
+		(define Hits (matches (index Split 1) Env))
+		(list
+			(map
+				(if (null? Hits) ((names Env) 'sort) Hits)
+				(lambda (H) (+ (head Split) H)))
+			Line))))
+
+	(export 'complete split-line matches line keywords)
+)
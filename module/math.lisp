@@ -25,7 +25,7 @@
 	(each MathFunctions (lambda (Name) (begin
 		(env:define ModuleEnv Name (dict:get Math Name)))))
 	(define export-many (macro (ModuleName FunctionNames)
-		(concat ['export ModuleName] (eval FunctionNames (env:current)))))
+		`(export ,ModuleName ,@(eval FunctionNames (env:current)))))
 	(export-many 'math MathFunctions)
 )
 
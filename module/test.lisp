@@ -0,0 +1,324 @@
+;; ===============================================
+;; Module: test
+;;
+;; A unit test framework.
+;;
+;;   (deftest Name Body)            Define a test
+;;   (suite Name Body...)           Group the tests and fixtures in Body
+;;   (before-each Proc)             Call Proc before each test of the suite
+;;   (after-each Proc)              Call Proc after each test of the suite
+;;   (is Exp)                       Assert that Exp is true
+;;   (is-equal Actual Expected)     Assert that Actual equals Expected
+;;   (throws? Exp [ErrorName])      Assert that evaluating Exp raises an error
+;;
+;; A test whose body awaits runs asynchronously, and the tests after it wait
+;; for it to finish. (test:run) runs the tests defined so far and prints a
+;; summary. The test runner finds and runs *.test.lisp files, each in a new
+;; interpreter (see createInterpreter):
+;;
+;;   node index.js --test [--tap] [paths...]
+;; ===============================================
+
+(begin
+	(define fs (require "fs"))
+	(define path (require "path"))
+
+	;; ===============================================
+	;; Test registry
+	;; ===============================================
+	;; Defined tests, in order: {Name Suites Body}
+	(define Tests [])
+	;; Suites being defined, outermost first: {Name BeforeEach AfterEach}
+	;; The fixture lists are updated in place, as tests refer to their suites.
+	(define Suites [])
+
+	(define register-test (lambda (Name Body)
+		(set! Tests (concat Tests [{(to_s Name) Suites Body}]))))
+	(define define-suite (lambda (Name Body) (begin
+		(define Outer Suites)
+		(set! Suites (concat Suites [{(to_s Name) [] []}]))
+		(try
+			(Body)
+			(catch (E) (begin
+				(set! Suites Outer)
+				(error E))))
+		(set! Suites Outer))))
+	(define add-fixture (lambda (Position Proc) (begin
+		(if (null? Suites)
+			(error (error:custom "TestError" "Fixtures must be defined within a suite")))
+		((index (last Suites) Position) 'push Proc))))
+
+	;; (deftest Name Body)
+	(define deftest (macro (Name Body)
+		(if (eval:awaits? Body)
+			`(,register-test ,Name (async () ,Body))
+			`(,register-test ,Name (lambda () ,Body)))))
+	;; (suite Name Body...)
+	(define suite (macro (Name &rest Body)
+		`(,define-suite ,Name (lambda () (begin ,@Body)))))
+	(define before-each (lambda (Proc) (add-fixture 1 Proc)))
+	(define after-each  (lambda (Proc) (add-fixture 2 Proc)))
+
+	;; ===============================================
+	;; Assertions
+	;;
+	;; Failures raise an AssertionError, located at the asserted expression.
+	;; ===============================================
+	(define fail (lambda (Message Form) (begin
+		(define E (error:custom "AssertionError" Message))
+		;; nil if unknown, rather than the location of this module's code
+		(define Location (source:location Form))
+		(dict:set E "location" (if Location Location nil))
+		(error E))))
+	(define show (lambda (Value) (to_string Value true)))
+
+	;; Lists and tuples are equal if their members are, records if they are
+	;; of the same type and their fields are, numbers if they have the same
+	;; value, symbols if they have the same name, and anything else if it is
+	;; the same object.
+	(define equal? (lambda (A B)
+		(if (and (tuple? A) (tuple? B))
+			(members-equal? (dict:get A "members") (dict:get B "members"))
+			(if (and (record? A) (record? B))
+				(if (=== (typeof A) (typeof B))
+					(members-equal? (record-values A) (record-values B))
+					false)
+				(match [(value-type A) (value-type B)]
+					(['list 'list] (members-equal? A B))
+					(['number 'number] (= A B))
+					(['symbol 'symbol] (= (to_s A) (to_s B)))
+					(_ (=== A B)))))))
+	;; typeof, which does not know booleans
+	(define value-type (lambda (X)
+		(if (or (=== X true) (=== X false)) 'boolean (typeof X))))
+	(define record-values (lambda (R)
+		(map (record:fields R) (lambda (F) (dict:get R F)))))
+	(define members-equal? (lambda (As Bs)
+		(if (= (length As) (length Bs))
+			(members-equal-from? As Bs 0)
+			false)))
+	(define members-equal-from? (lambda (As Bs I)
+		(if (>= I (length As))
+			true
+			(if (equal? (index As I) (index Bs I))
+				(members-equal-from? As Bs (+ I 1))
+				false))))
+
+	(define assert-true (lambda (Value Form)
+		(if (not Value)
+			(fail (+ "Expected " (show Form) " to be true") Form))))
+	(define assert-equal (lambda (Actual Expected Form)
+		(if (not (equal? Actual Expected))
+			(fail (+ "Expected " (show Form) " to equal " (show Expected) ", but was " (show Actual)) Form))))
+	(define assert-throws (lambda (Proc Name Form) (begin
+		(define Thrown
+			(try
+				(begin (Proc) false)
+				(catch (E) (begin
+					(if (if (= undefined Name) false (!= (to_s Name) (error:name E)))
+						(fail (+ "Expected " (show Form) " to raise " (to_s Name) ", but it raised "
+							(error:name E) ": " (error:message E)) Form))
+					true))))
+		(if (not Thrown)
+			(fail (+ "Expected " (show Form) " to raise an error") Form)))))
+
+	;; (is Exp)
+	(define is (macro (Exp)
+		`(,assert-true ,Exp ',Exp)))
+	;; (is-equal Actual Expected)
+	(define is-equal (macro (Actual Expected)
+		`(,assert-equal ,Actual ,Expected ',Actual)))
+	;; (throws? Exp [ErrorName])
+	(define throws? (macro (Exp &optional ErrorName)
+		`(,assert-throws (lambda () ,Exp) ',ErrorName ',Exp)))
+
+	;; ===============================================
+	;; Running tests
+	;; ===============================================
+	;; The full name of a test, including its suites
+	(define test-name (lambda (Test)
+		(join (concat (map (index Test 1) (lambda (S) (index S 0))) [(index Test 0)]) " > ")))
+
+	;; Run a test with its fixtures, giving {'pass Name} or {'fail Name Error},
+	;; or a Promise of that if the test is asynchronous
+	(define run-test (lambda (Test) (begin
+		(define Suites (index Test 1))
+		(define Failed (lambda (E) {'fail (test-name Test) E}))
+		(try
+			(begin
+				(each Suites (lambda (S) (each (index S 1) (lambda (F) (F)))))
+				(define Result
+					(try
+						((index Test 2))
+						(catch (E) (begin
+							(run-after-each Suites)
+							(error E)))))
+				(if (promise? Result)
+					((Result 'then
+						(lambda (_) (begin
+							(run-after-each Suites)
+							{'pass (test-name Test)}))
+						(lambda (E) (begin
+							(run-after-each Suites)
+							(error E))))
+						'catch Failed)
+					(begin
+						(run-after-each Suites)
+						{'pass (test-name Test)})))
+			(catch (E) (Failed E))))))
+	(define run-after-each (lambda (Suites)
+		(each ((Suites 'slice 0) 'reverse) (lambda (S) (each (index S 2) (lambda (F) (F)))))))
+
+	;; Call Proc with each of Items in turn, giving the list of results, or a
+	;; Promise of the list once any result is a Promise
+	(define in-turn (lambda (Items Proc) (in-turn-from Items Proc 0 [])))
+	(define in-turn-from (lambda (Items Proc I Results)
+		(if (>= I (length Items))
+			Results
+			(then (Proc (index Items I)) (lambda (R)
+				(in-turn-from Items Proc (+ I 1) (concat Results [R])))))))
+	;; (Proc Value), once Value settles if a Promise
+	(define then (lambda (Value Proc)
+		(if (promise? Value)
+			(Value 'then Proc)
+			(Proc Value))))
+
+	;; Run the tests defined so far, removing them, and return their results
+	(define run-tests (lambda () (begin
+		(define Pending Tests)
+		(set! Tests [])
+		(in-turn Pending run-test))))
+
+	;; The name and message of an error
+	(define error-text (lambda (E) (+ (error:name E) ": " (error:message E))))
+
+	;; ===============================================
+	;; Reporters
+	;;
+	;; Each is [Start File Finish]: Start is called first, File with
+	;; (File Results) for each file, and Finish with the totals.
+	;; ===============================================
+	(define TapCount 0)
+	(define tap-start (lambda () (begin
+		(set! TapCount 0)
+		(print "TAP version 13"))))
+	(define tap-file (lambda (File Results) (begin
+		(if (!= undefined File)
+			(print "#" File))
+		(each Results (lambda (R) (begin
+			(set! TapCount (+ TapCount 1))
+			(match R
+				({'pass Name} (print "ok" TapCount "-" Name))
+				({'fail Name E} (begin
+					(print "not ok" TapCount "-" Name)
+					(print "  ---")
+					(print "  message:" (to_string (error-text E) true))
+					(if (error:location E)
+						(print "  at:" (to_string (error:location E) true)))
+					(print "  ..."))))))))))
+	(define tap-finish (lambda (Passed Failed)
+		(print (+ "1.." (+ Passed Failed)))))
+
+	(define summary-start (lambda () nil))
+	(define summary-file (lambda (File Results) (begin
+		(if (!= undefined File)
+			(print File))
+		(each Results (lambda (R)
+			(match R
+				({'pass Name} (print (+ "  ok   " Name)))
+				({'fail Name E} (begin
+					(define Location (error:location E))
+					(print (+ "  FAIL " Name (if Location (+ " (at " Location ")") "")))
+					(print "       " (error-text E))))))))))
+	(define summary-finish (lambda (Passed Failed)
+		(print (+ Passed Failed) "test(s)," Passed "passed," Failed "failed")))
+
+	(define Reporters (dict:new))
+	(dict:set Reporters "tap" [tap-start tap-file tap-finish])
+	(dict:set Reporters "summary" [summary-start summary-file summary-finish])
+	(define reporter (lambda (Format)
+		(if (dict:key? Reporters Format)
+			(dict:get Reporters Format)
+			(error (error:custom "TestError" (+ "Unknown test output format " Format))))))
+
+	(define count-results (lambda (Results Status)
+		(length (Results 'filter (lambda (R) (= Status (head R)))))))
+
+	;; (test:run [Format])
+	;; Run the tests defined so far, and return the number that failed, or a
+	;; Promise of it if any test is asynchronous
+	(define run (lambda (&optional (Format "summary")) (begin
+		(define Report (reporter Format))
+		(then (run-tests) (lambda (Results) (begin
+			((index Report 0))
+			((index Report 1) undefined Results)
+			(define Failed (count-results Results 'fail))
+			((index Report 2) (- (length Results) Failed) Failed)
+			Failed))))))
+
+	;; ===============================================
+	;; Test runner
+	;; ===============================================
+	;; Test files in Paths, searching directories for *.test.lisp files
+	(define find-files (lambda (Paths)
+		(list:reduce Paths [] (lambda (P Files)
+			(concat Files
+				(if ((fs 'statSync P) 'isDirectory)
+					(find-in-directory P)
+					[P]))))))
+	(define find-in-directory (lambda (Dir)
+		(list:reduce ((fs 'readdirSync Dir) 'sort) [] (lambda (Name Files) (begin
+			(define Full (path 'join Dir Name))
+			(concat Files
+				(if (or (Name 'startsWith ".") (= Name "node_modules"))
+					[]
+					(if ((fs 'statSync Full) 'isDirectory)
+						(find-in-directory Full)
+						(if (Name 'endsWith ".test.lisp") [Full] [])))))))))
+
+	(define TopLevel (env:toplevel (env:current)))
+	;; (test:run-file File)
+	;; Evaluate a test file in its own environment, and run the tests it
+	;; defines, giving their results or a Promise of them. Modules it loads
+	;; and changes it makes to the interpreter remain.
+	(define run-file (lambda (File) (begin
+		(set! Tests [])
+		(set! Suites [])
+		(define FileEnv (env:new TopLevel))
+		(env:define FileEnv 'exports (dict:new))
+		(env:define FileEnv 'argv [])
+		(try
+			(begin
+				(eval (parse (fs 'readFileSync File "utf8") File) FileEnv)
+				(run-tests))
+			;; A file that fails to load counts as a failed test
+			(catch (E) [{'fail "(loading file)" E}])))))
+	;; run-file in a new interpreter with the current evaluator, so that test
+	;; files do not share modules, reader syntaxes or the evaluator
+	(define run-file-isolated (lambda (File) (begin
+		(define Interpreter ((dict:get (lispy:interface) "createInterpreter")
+			(dict "evaluator" (kernel:evaluator))))
+		(Interpreter 'eval `(begin (import 'test) (test:run-file ,File))))))
+
+	;; (test:run-files Paths [Format])
+	;; Run the test files in Paths, and return the number of failed tests, or
+	;; a Promise of it if any test is asynchronous
+	(define run-files (lambda (Paths &optional (Format "summary")) (begin
+		(define Report (reporter Format))
+		(define Passed 0)
+		(define Failed 0)
+		((index Report 0))
+		(then
+			(in-turn (find-files (if (null? Paths) ["."] Paths)) (lambda (File)
+				(then (run-file-isolated File) (lambda (Results) (begin
+					(define FileFailed (count-results Results 'fail))
+					(set! Passed (+ Passed (- (length Results) FileFailed)))
+					(set! Failed (+ Failed FileFailed))
+					((index Report 1) File Results))))))
+			(lambda (_) (begin
+				((index Report 2) Passed Failed)
+				Failed))))))
+
+	(export "" deftest suite before-each after-each is is-equal throws?)
+	(export 'test run run-file run-files equal?)
+)
@@ -19,21 +19,25 @@
 	;; Optional Node.js modules
 	;; ===============================================
 	;; Make try blocks look a bit nicer
-	(define catch (macro Args (cons 'lambda Args)))
+	(define catch (macro Args `(lambda ,@Args)))
 	(define try-require (lambda (Path)
 		(try (require Path)
 		     (catch (E) nil))))
 	(define rmt (try-require "readline-matchtoken"))
 
+	;; ===============================================
+	;; Lispy modules
+	;; ===============================================
+	(import 'complete)
+
 	;; ===============================================
 	;; Configurable options
 	;; ===============================================
 	(define PromptDefault      "Lispy> ")
 	(define PromptContinuation "  ...> ")
+	(define PromptDebug        "Debug> ")
 	(define MaximumHistoryLines 200)
 	(define HistoryFile ".repl.lisp.history")
-	(define BuiltinKeywords (list "if" "quote" "define" "defined?"
-		"set!" "lambda" "macro" "begin" "try"))
 
 	;; ===============================================
 	;; REPL state
@@ -56,13 +60,10 @@
 	;; ===============================================
 	(define Commands (dict:new))
 	(define command? (lambda (Word) (dict:key? Commands Word)))
-	(define command! (lambda (Word Args) ((command-body (dict:get Commands Word)) Args)))
-	(define command-new  (lambda (Description Help Body) (list 'command Description Help Body)))
-	(define command-desc (lambda (C) (index C 1)))     ;; ['command (Desc) Help Body]
-	(define command-help (lambda (C) (index C 2)))     ;; ['command Desc (Help) Body]
-	(define command-body (lambda (C) (index C 3)))     ;; ['command Desc Help (Body)]
+	(define command! (lambda (Word &optional Args) ((repl-command:body (dict:get Commands Word)) Args)))
+	(defrecord repl-command (desc help body))
 	(define add-command  (lambda (Command Description Help Body)
-		(dict:set Commands Command (command-new Description Help Body))))
+		(dict:set Commands Command (repl-command:new Description Help Body))))
 
 	(define get-commands (lambda ()
 		((dict:keys Commands) 'filter (lambda (C) (length C)))))
@@ -75,7 +76,7 @@
 	(add-command '\usage
 		"Display usage of REPL"
 		""
-		(lambda () (begin
+		(lambda (Args) (begin
 			(print "Welcome to Lispy REPL")
 			(print "Type \\q to quit, \\? for commands")
 		))
@@ -85,7 +86,7 @@
 	(add-command '\q
 		"Quit the REPL"
 		""
-		(lambda () (begin
+		(lambda (Args) (begin
 			(quit)
 		))
 	)
@@ -94,9 +95,9 @@
 	(add-command '\c
 		"Cancel current line input or continuation"
 		"When a parser error occurs, the continuation prompt is shown. This cancels a continuation and starts with a fresh line."
-		(lambda () (begin
+		(lambda (Args) (begin
 			(set! ContinuationFlag false)
-			(RL 'setPrompt PromptDefault)
+			(RL 'setPrompt (prompt-default))
 		))
 	)
 
@@ -113,10 +114,10 @@
 			(each (get-commands) (lambda (Key)
 				(each Targets (lambda (Target)
 					(if (= Target nil)
-						(print Key "\t\t" (command-desc (dict:get Commands Key)))
+						(print Key "\t\t" (repl-command:desc (dict:get Commands Key)))
 						(if (= Target Key) (begin
-							(print Key "\t\t" (command-desc (dict:get Commands Key)))
-							(print "  " (command-help (dict:get Commands Key)))
+							(print Key "\t\t" (repl-command:desc (dict:get Commands Key)))
+							(print "  " (repl-command:help (dict:get Commands Key)))
 						))
 					)
 				))
@@ -126,8 +127,8 @@
 
 	;; \s
 	(add-command '\s "Toggle stack tracing"
-		"Toggle JavaScript stack tracing when an exception is thrown"
-		(lambda () (begin
+		"Toggle JavaScript and Lispy stack tracing when an exception is thrown"
+		(lambda (Args) (begin
 			(set! ShowStackFlag (not ShowStackFlag))
 			(print "Stack tracing is now" (if ShowStackFlag "on" "off"))
 		))
@@ -136,7 +137,7 @@
 	;; \p
 	(add-command '\p "Toggle parser error display"
 		"Toggle displaying parser errors"
-		(lambda () (begin
+		(lambda (Args) (begin
 			(set! ShowParserErrorFlag (not ShowParserErrorFlag))
 			(print "Parser error display is now" (if ShowParserErrorFlag "on" "off"))
 		))
@@ -164,8 +165,70 @@
 		))
 	)
 
+	;; \m form
+	(add-command '\m "Show the expansion of a macro call"
+		"\\m Form    Expands Form while it is a macro call, without evaluating the result."
+		(lambda (Args)
+			(try
+				(print (to_string (eval `(macroexpand ',(parse (join Args " "))) ReplEnv) true))
+				(catch (E)
+					(print "Uncaught" (error-summary E)))
+			)
+		)
+	)
+
+	;; \break [Target|clear]
+	(add-command '\break "Add or list debugger breakpoints"
+		"\\break [Target|clear]    Pause when Target is reached: a lambda name, a line number or file:line. Lists breakpoints if no argument given, or removes them all if clear is passed."
+		(lambda (Args) (begin
+			(if (null? Args)
+				nil
+				(if (= "clear" (head Args))
+					(debug:unbreak)
+					(each Args debug:break)))
+			(define Breakpoints (debug:breakpoints))
+			(if (null? Breakpoints)
+				(print "No breakpoints")
+				(print "Breakpoints:" (join Breakpoints " ")))
+		))
+	)
+
+	;; \step [into|over|out]
+	(add-command '\step "Step through code being debugged"
+		"\\step [into|over|out]    Step into the next form (default), over the current form, or out of the current lambda. If not paused, the next code entered pauses at its first form."
+		(lambda (Args) (begin
+			(define WasPaused (debug:paused?))
+			(then-debug (lambda ()
+				(debug:step (if (null? Args) "into" (head Args)))))
+			(if (not WasPaused)
+				(print "Stepping from the next code entered"))
+		))
+	)
+
+	;; \continue
+	(add-command '\continue "Continue code being debugged"
+		"Continue until the next breakpoint is reached or the code finishes."
+		(lambda (Args)
+			(if (debug:paused?)
+				(then-debug debug:continue)
+				(print "Not paused"))
+		)
+	)
+
+	;; \locals [all]
+	(add-command '\locals "Show the local variables where paused"
+		"\\locals [all]    Show the variables of each local environment, or dump all environments if all is passed. While paused, code entered is evaluated in the paused environment, where variables can be changed with set!."
+		(lambda (Args)
+			(if (not (debug:paused?))
+				(print "Not paused")
+				(if (= "all" (head Args))
+					(env:dump (debug:env))
+					(show-locals (debug:env) 0)))
+		)
+	)
+
 	;; Empty input does nothing
-	(add-command "" "" "" (lambda () false))
+	(add-command "" "" "" (lambda (Args) false))
 
 	;; Command utility functions
 	(define cleanup (lambda () (begin
@@ -176,6 +239,17 @@
 		(RL 'close)
 		;; History will be written to file by the closed handler above
 	)))
+	(define prompt-default (lambda ()
+		(if (debug:paused?) PromptDebug PromptDefault)))
+	;; Print the variables of Env and its parents, up to the toplevel
+	(define show-locals (lambda (Env Level)
+		(if (env:parent? Env) (begin
+			(define Parent (env:parent Env))
+			(define Inherited (env:keys Parent))
+			(define Own ((env:keys Env) 'filter (lambda (K) (not (Inherited 'includes K)))))
+			(print (+ "[" Level "]") (join (map Own (lambda (K)
+				(+ K " = " (to_string (env:get Env K) true)))) ", "))
+			(show-locals Parent (+ Level 1))))))
 	(define truthy? (lambda (Val)
 		(if (= undefined Val)
 			false
@@ -189,7 +263,7 @@
 		(if ContinuationFlag (begin
 			(set! ContinuationFlag false)
 			(set! Line (+ ContinuedLine "\n" Line))
-			(RL 'setPrompt PromptDefault)
+			(RL 'setPrompt (prompt-default))
 		))
 			
 		(define ParseError false)
@@ -211,23 +285,48 @@
 		(define Start (date))
 		(if DebugEvalFlag
 			(kernel:debug true))
-		(define ReplResult (eval Code ReplEnv))
+		;; While paused, code is evaluated where the debugger paused
+		(define ReplResult
+			(if (debug:paused?)
+				(eval Code (debug:env))
+				(if (debug:active?)
+					(debug:eval Code ReplEnv)
+					(eval Code ReplEnv))))
 		(kernel:debug OriginalDebugEvalFlag)
 		(if TimingFlag
 			(print "Run in" (- (date) Start) "ms"))
 		ReplResult
 	)))
 	(define then-run (lambda (Code)
+		(if (debug:paused?)
+			(try
+				(print (do-eval Code))
+				(catch (E) (show-error E)))
+			(then-debug (lambda () (do-eval Code))))
+	))
+	;; Run Proc, which may pause the debugger, and show where it paused or
+	;; the result
+	(define then-debug (lambda (Proc) (begin
 		(try
-			(print (do-eval Code))
-			(catch (E) (begin
-				(if ShowStackFlag
-					(print (error:stack E))
-					(print "Uncaught" (+ (error:name E) ":") (error:message E))
-				)
-			))
+			(begin
+				(define Result (Proc))
+				(if (debug:paused?)
+					(print "Paused at" (+ (if (debug:location) (debug:location) "<unknown>") ":") (to_string (debug:form) true))
+					(print Result)))
+			(catch (E) (show-error E)))
+		(RL 'setPrompt (prompt-default))
+	)))
+	(define show-error (lambda (E)
+		(if ShowStackFlag
+			(print (error:stack E))
+			(print "Uncaught" (error-summary E))
 		)
 	))
+	;; Name: message (at location)
+	(define error-summary (lambda (E) (begin
+		(define Location (error:location E))
+		(+ (error:name E) ": " (error:message E)
+			(if (= undefined Location) "" (+ " (at " Location ")"))))))
 	(define then-continuation (lambda (Input) (begin
 		(set! ContinuationFlag true)
 		(set! ContinuedLine Input)
@@ -285,31 +384,11 @@
 	;; ===============================================
 	;; Tab completer
 	;; ===============================================
-	;; This RegExp defines all the separators available in Lispy
-	(define SeparatorRegExp (regexp "( |\\(|\\[|{|\\)|\\]|})"))
 	;; We can only use the callback wrapper version of the tab completer due
 	;; to the way JavaScript functions report parameter counts, and readline's
 	;; usage of such to determine the callback type.
-	(define TabCompleter (lambda (Line) (begin
-		;; Split line by separators
-		(define LineSplit (Line 'split SeparatorRegExp))
-		;; We match on only the last word from the line
-		(define Word (last LineSplit))
-		;; The rest of the line is rejoined to form the prefix
-		(define LinePre (join (LineSplit 'slice 0 (- (length LineSplit) 1)) ""))
-		;; Keys are: all builtins plus all environment keys
-		(define Keys (concat BuiltinKeywords (env:keys ReplEnv)))
-		;; Hits are: all Keys that start with our current Word
-		(define Hits (Keys 'filter (lambda (C) (C 'startsWith Word))))
-		;; Prepend the line prefix to all results. Funky things happen
-		;; if we do not do this.
-		;; return: [ [Candidate...] OriginalLine ]
-		(list
-			(map
-				((if (null? Hits) Keys Hits) 'sort)
-				(lambda (H) (+ LinePre H)))
-			Line)
-	)))
+	(define TabCompleter (lambda (Line)
+		(complete:line Line ReplEnv)))
 
 	;; ===============================================
 	;; History file management
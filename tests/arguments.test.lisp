@@ -0,0 +1,36 @@
+;; Tests of lambda and macro argument lists
+(begin
+	(import 'test)
+
+	(suite "argument lists"
+		(deftest "a symbol takes all the arguments as a list"
+			(is-equal ((lambda Args Args) 1 2 3) [1 2 3]))
+		(deftest "a list takes exactly its arguments"
+			(begin
+				(is-equal ((lambda (A B) [B A]) 1 2) [2 1])
+				(throws? ((lambda (A B) A) 1) ArityError)
+				(throws? ((lambda (A B) A) 1 2 3) ArityError)))
+		(deftest "optional arguments default to undefined or their default"
+			(begin
+				(define f (lambda (A &optional B (C 1)) [A B C]))
+				(is-equal (f 0) [0 undefined 1])
+				(is-equal (f 0 2 3) [0 2 3])))
+		(deftest "defaults are evaluated when called and can use earlier arguments"
+			(is-equal ((lambda (A &optional (B (+ A 1))) B) 1) 2))
+		(deftest "rest arguments take the remaining arguments"
+			(begin
+				(is-equal ((lambda (A . Rest) Rest) 1 2 3) [2 3])
+				(is-equal ((lambda (A &rest Rest) Rest) 1) [])))
+		(deftest "lists and tuples are destructured"
+			(is-equal ((lambda ((X Y) {Tag Value}) [X Y Tag Value]) [1 2] {'a 3}) [1 2 'a 3]))
+		(deftest "destructuring checks the shape of the value"
+			(throws? ((lambda ((X Y)) X) 1) InvalidArgumentError))
+		(deftest "&rest must be followed by exactly one name"
+			(throws? ((lambda (A &rest) A) 1) InvalidArgumentError))
+		(deftest "macros take the same argument lists"
+			(begin
+				(define first-of (macro (First . Rest) `(quote ,First)))
+				(is-equal (first-of a b c) 'a)
+				(throws? (eval '((macro (A) A)) (env:current)) ArityError)))
+		(deftest "JavaScript callers may pass extra arguments"
+			(is-equal (map [1 2] (lambda (X) (* X 2))) [2 4]))))
@@ -0,0 +1,39 @@
+;; Tests of async lambdas and await
+(begin
+	(reader:use 'dict)
+	(import 'test)
+
+	(define delay (dict:get (require "timers/promises") "setTimeout"))
+	(define later (async (Value) (begin
+		(await (delay 1))
+		Value)))
+
+	(suite "async lambdas"
+		(deftest "return a Promise of the value of their body"
+			(begin
+				(define P (later 3))
+				(is (promise? P))
+				(is-equal (await P) 3)))
+		(deftest "await in if, define, set! and the arguments of a call"
+			(begin
+				(define X (await (later 1)))
+				(set! X (+ X (await (later 2))))
+				(is-equal (if (await (later true)) X 0) 3)
+				(is-equal (list (await (later 4)) 5) [4 5])))
+		(deftest "try catches rejected Promises"
+			(begin
+				(define Failing (async () (begin
+					(await (delay 1))
+					(error (error:custom "Boom" "failed")))))
+				(is-equal (try (await (Failing)) (catch (E) (error:name E))) "Boom")
+				(is-equal (await (try (Failing) (catch (E) "caught"))) "caught")))
+		(deftest "await is only valid in async code"
+			(throws? (eval '(await 1) (env:current)) InvalidOperationError))
+		(deftest "async top level code gives a Promise"
+			(is-equal (await (eval:async '(begin (await (later 1)) 2) (env:current))) 2)))
+
+	(suite "sandboxes"
+		(deftest "may not create async lambdas"
+			(begin
+				(define Sandbox (sandbox:new #{"maxSteps" 1000}))
+				(throws? (sandbox:eval Sandbox "(async () (begin (await 1) (loop 0)))") InvalidOperationError)))))
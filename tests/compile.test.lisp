@@ -0,0 +1,46 @@
+;; Tests of the compiling evaluator, whichever evaluator runs the tests
+(begin
+	(import 'test)
+
+	;; Evaluate Code with the compiling evaluator, in a new environment
+	(define compiled (lambda (Code) (begin
+		(define Previous (kernel:evaluator))
+		(kernel:evaluator 'compile)
+		(define Result (try (eval (parse Code) (env:new (env:current)))
+			(catch (E) (begin
+				(kernel:evaluator Previous)
+				(error E)))))
+		(kernel:evaluator Previous)
+		Result)))
+
+	(suite "compiling evaluator"
+		(deftest "evaluates special forms and calls"
+			(is-equal (compiled "(begin (define f (lambda (X) (if (> X 1) (* X (f (- X 1))) 1))) (f 5))") 120))
+		(deftest "runs tail calls in constant space"
+			(is-equal (compiled "(begin (define f (lambda (N) (if (= N 0) \"done\" (f (- N 1))))) (f 100000))") "done"))
+		(deftest "folds constant arithmetic"
+			(is-equal (compiled "(begin
+				(define f (lambda () (* 60 (+ 30 30))))
+				(define First (f))
+				(define + -)
+				[First (f)])") [3600 3600]))
+		(deftest "does not fold operators redefined before the form first runs"
+			(is-equal (compiled "(begin (define + -) (define f (lambda () (+ 3 2))) (f))") 1))
+		(deftest "expands a macro call once"
+			(is-equal (compiled "(begin
+				(define Count 0)
+				(define twice (macro (X) (begin (set! Count (+ Count 1)) `(+ ,X ,X))))
+				(define f (lambda (N) (twice N)))
+				(f 1) (f 2) (f 3)
+				Count)") 1))
+		(deftest "expands again when the macro called changes"
+			(is-equal (compiled "(begin
+				(define m (macro (X) X))
+				(define f (lambda (N) (m N)))
+				(define A (f 1))
+				(set! m (macro (X) `(+ ,X 10)))
+				(+ A (f 1)))") 12))
+		(deftest "locates errors at the innermost form"
+			(begin
+				(define E (try (compiled "(begin\n  (error (error:custom 'Foo \"bar\")))") (catch (E) E)))
+				(is-equal (error:location E) "<input>:2:3")))))
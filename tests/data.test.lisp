@@ -0,0 +1,53 @@
+;; Tests of write, read and JSON
+(begin
+	(import 'test)
+
+	(define round-trip (lambda (Value) (read (write Value))))
+
+	(suite "write and read"
+		(deftest "writes values as Lispy code"
+			(begin
+				(is-equal (write 'foo) "'foo")
+				(is-equal (write "a \"b\"\n") "\"a \\\"b\\\"\\n\"")
+				(is-equal (write [1 'a "b"]) "[1 'a \"b\"]")
+				(is-equal (write {1 2/3}) "{1 2/3}")
+				(is-equal (write [nil undefined true]) "[nil undefined true]")
+				(is-equal (write (dict "a" [1])) "(dict \"a\" [1])")))
+		(deftest "values round-trip through read"
+			(begin
+				(is-equal (round-trip 'foo) 'foo)
+				(is-equal (round-trip "tab\tquote\" backslash\\") "tab\tquote\" backslash\\")
+				(is-equal (round-trip [[1 [2]] ['a {'b "c"}]]) [[1 [2]] ['a {'b "c"}]])
+				(is-equal (round-trip [nil undefined true false]) [nil undefined true false])
+				(is-equal (round-trip [12n 1/3 -0.5]) [12n 1/3 -0.5])
+				;; is-equal compares dicts by identity, so compare what they write
+				(define Dict (dict "name" "Lispy" "tags" ['lisp]))
+				(is-equal (write (round-trip Dict)) (write Dict))))
+		(deftest "written text evaluates to the value"
+			(begin
+				(define Value (dict "tags" ['lisp "x"] "pair" {1 2/3}))
+				(is-equal (write (eval (parse (write Value)) (env:current))) (write Value))))
+		(deftest "read does not evaluate"
+			(begin
+				(is-equal (read "'(print 1)") ['print 1])
+				(throws? (read "(print 1)") ParserError)
+				(throws? (read "X") ParserError)))
+		(deftest "values that cannot be read back are refused"
+			(throws? (write (lambda () 1)) InvalidArgumentError)))
+
+	(suite "JSON"
+		(deftest "parses JSON into Lispy values"
+			(begin
+				(define Value (json:parse "{\"a\": [1, \"b\", true, null]}"))
+				(is-equal (dict:keys Value) ["a"])
+				(is-equal (dict:get Value "a") [1 "b" true nil])))
+		(deftest "stringifies Lispy values"
+			(is-equal (json:stringify (dict "a" [1 'b {2 3} 1/2 4n nil])) "{\"a\":[1,\"b\",[2,3],0.5,4,null]}"))
+		(deftest "leaves undefined out of dicts but not lists"
+			(is-equal (json:stringify [(dict "a" undefined) undefined]) "[{},null]"))
+		(deftest "indents when asked"
+			(is-equal (json:stringify [1] 2) "[\n  1\n]"))
+		(deftest "refuses values that cannot be converted"
+			(begin
+				(throws? (json:stringify (lambda () 1)) InvalidArgumentError)
+				(throws? (json:stringify 123456789012345678901234567890n) InvalidArgumentError)))))
@@ -0,0 +1,84 @@
+;; Tests of the step debugger
+(begin
+	(import 'test)
+
+	(define Env nil)
+	;; Parse Code as the file t.lisp
+	(define code (lambda (Code) (parse Code "t.lisp")))
+
+	(suite "debugger"
+		(before-each (lambda () (begin
+			(set! Env (env:new (env:current)))
+			(eval (code "(define sq (lambda (N) (* N N)))") Env))))
+		(after-each (lambda () (begin
+			(debug:abort)
+			(debug:unbreak))))
+
+		(deftest "pauses at the body of a lambda with a breakpoint"
+			(begin
+				(is-equal (debug:breakpoints) [])
+				(debug:break 'sq)
+				(is-equal (debug:breakpoints) ["sq"])
+				(is-equal (debug:eval (code "(+ 1 (sq 4))") Env) undefined)
+				(is (debug:paused?))
+				(is-equal (debug:form) ['* 'N 'N])
+				(is-equal (debug:location) "t.lisp:1:24")))
+		(deftest "continues to the end, giving the value"
+			(begin
+				(debug:break 'sq)
+				(debug:eval (code "(+ 1 (sq 4))") Env)
+				(is-equal (debug:continue) 17)
+				(is (not (debug:paused?)))))
+		(deftest "evaluates in the environment of the paused form"
+			(begin
+				(debug:break 'sq)
+				(debug:eval (code "(+ 1 (sq 4))") Env)
+				(is-equal (eval 'N (debug:env)) 4)
+				(eval '(set! N 5) (debug:env))
+				(is-equal (debug:continue) 26)))
+		(deftest "pauses at a line breakpoint"
+			(begin
+				(debug:break "t.lisp:3")
+				(debug:eval (code "(begin\n  (define X 1)\n  (set! X 2)\n  X)") Env)
+				(is-equal (debug:location) "t.lisp:3:3")
+				(is-equal (debug:continue) 2)))
+		(deftest "steps into each form in turn"
+			(begin
+				(debug:step)
+				(debug:eval (code "(begin (sq 4) (+ 1 2))") Env)
+				(is-equal (debug:form) ['begin ['sq 4] ['+ 1 2]])
+				(debug:step)
+				(is-equal (debug:form) ['sq 4])
+				(debug:step)
+				(is-equal (debug:form) ['* 'N 'N])))
+		(deftest "steps over a form"
+			(begin
+				(debug:step)
+				(debug:eval (code "(begin (sq 4) (+ 1 2))") Env)
+				(debug:step)
+				(debug:step 'over)
+				(is-equal (debug:form) ['+ 1 2])))
+		(deftest "steps out of a lambda"
+			(begin
+				(debug:break 'sq)
+				(debug:eval (code "(begin (sq 4) (+ 1 2))") Env)
+				(debug:step 'out)
+				(is-equal (debug:form) ['+ 1 2])))
+		(deftest "a step that finishes the evaluation does not pause the next"
+			(begin
+				(debug:break 'sq)
+				(debug:eval (code "(sq 4)") Env)
+				(debug:unbreak)
+				(is-equal (debug:step 'over) 16)
+				(is-equal (debug:eval (code "(sq 3)") Env) 9)))
+		(deftest "removes breakpoints"
+			(begin
+				(debug:break 'sq)
+				(debug:break 3)
+				(is-equal (debug:unbreak 'sq) ["3"])
+				(is-equal (debug:eval (code "(sq 4)") Env) 16)))
+		(deftest "refuses to debug while paused"
+			(begin
+				(debug:break 'sq)
+				(debug:eval (code "(sq 4)") Env)
+				(throws? (debug:eval (code "(sq 4)") Env) InvalidOperationError)))))
@@ -0,0 +1,65 @@
+;; Tests of the syntax tree reader and the formatter
+(begin
+	(reader:use 'dict)
+	(import 'test)
+
+	(define fs (require "fs"))
+	(define os (require "os"))
+	(define path (require "path"))
+	(define child_process (require "child_process"))
+
+	(define format (lispy:jseval "Format"))
+	(define read-tree (lispy:jseval "ReadTree"))
+	;; Run index.js with Args, giving {Status Stdout}
+	(define run-lispy (lambda (Args) (begin
+		(define Result (child_process 'spawnSync "node"
+			(concat [(path 'join (lispy:jseval "__dirname") "index.js")] Args)
+			#{"encoding" "utf8"}))
+		{(dict:get Result "status") (dict:get Result "stdout")})))
+
+	(suite "syntax tree"
+		(deftest "keeps comments and bracket kinds"
+			(begin
+				(define Tree (read-tree "(a [b] {c}) ;; note"))
+				(is-equal (map Tree (lambda (N) (dict:get N "kind"))) ["list" "comment"])
+				(is-equal (map (dict:get (head Tree) "items") (lambda (N) (dict:get N "text"))) ["a" "[" "{"])
+				(is-equal (dict:get (index Tree 1) "text") ";; note"))))
+
+	(suite "format"
+		(deftest "indents each line by a tab within its list"
+			(is-equal (format "(begin (define x 1)\n   ;; note\n  (if  x\n (print \"a\")  [1 2]))")
+				"(begin\n\t(define x 1)\n\t;; note\n\t(if x\n\t\t(print \"a\")\n\t\t[1 2]))\n"))
+		(deftest "keeps a lambda and its begin on one line"
+			(is-equal (format "(define f (lambda (X) (begin\n(print X)\nX)))")
+				"(define f (lambda (X) (begin\n\t(print X)\n\tX)))\n"))
+		(deftest "keeps short lists on one line"
+			(is-equal (format "{1   2}  ;; two") "{1 2} ;; two\n"))
+		(deftest "formatted code is unchanged"
+			(begin
+				(define Code "(begin\n\t(define x 1)\n\t;; note\n\t(if x\n\t\t(print \"a\")\n\t\t[1 2]))\n")
+				(is-equal (format Code) Code)))
+		(deftest "reports syntax errors"
+			(throws? (format "(a b") ParserError)))
+
+	(suite "--fmt"
+		(define Dir nil)
+		(define File nil)
+		(before-each (lambda () (begin
+			(set! Dir (fs 'mkdtempSync (path 'join (os 'tmpdir) "lispy-format-")))
+			(set! File (path 'join Dir "a.lisp"))
+			(fs 'writeFileSync File "(begin  (print 1)\n(print 2))"))))
+		(after-each (lambda () (fs 'rmSync Dir #{"recursive" true})))
+
+		(deftest "prints the file formatted"
+			(is-equal (run-lispy ["--fmt" File]) {0 "(begin\n\t(print 1)\n\t(print 2))\n"}))
+		(deftest "--check lists the files that need formatting"
+			(is-equal (run-lispy ["--fmt" "--check" Dir]) {1 (+ File "\n")}))
+		(deftest "--write formats files in place"
+			(begin
+				(run-lispy ["--fmt" "--write" Dir])
+				(is-equal (fs 'readFileSync File "utf8") "(begin\n\t(print 1)\n\t(print 2))\n")
+				(is-equal (run-lispy ["--fmt" "--check" Dir]) {0 ""})))
+		(deftest "--check without --fmt is an argument of the program"
+			(begin
+				(fs 'writeFileSync File "(print (to_string argv))")
+				(is-equal (run-lispy [File "--check"]) {0 "[--check]\n"})))))
@@ -0,0 +1,56 @@
+;; Tests of continuations and generators
+(begin
+	(import 'test)
+
+	(define counter (lambda (N) (generator (lambda () (begin
+		(define loop (lambda (I) (if (< I N) (begin (yield I) (loop (+ I 1))))))
+		(loop 0))))))
+
+	(suite "call/cc"
+		(deftest "returns the value the continuation is called with"
+			(is-equal (call/cc (lambda (Return) (begin (Return 1) 2))) 1))
+		(deftest "returns the value of its lambda if the continuation is not called"
+			(is-equal (call/cc (lambda (Return) 2)) 2))
+		(deftest "exits early from a loop"
+			(is-equal
+				(call/cc (lambda (Return) (begin
+					(each [1 2 3 4] (lambda (X) (if (> X 2) (Return X))))
+					nil)))
+				3))
+		(deftest "is not caught by try"
+			(is-equal (call/cc (lambda (Return) (try (Return 1) (catch (E) 2)))) 1))
+		(deftest "may not be used after its call/cc returned"
+			(begin
+				(define Saved (call/cc (lambda (Return) Return)))
+				(throws? (Saved 1) InvalidOperationError))))
+
+	(suite "generators"
+		(deftest "give each value yielded"
+			(is-equal (iter:list (counter 5)) [0 1 2 3 4]))
+		(deftest "pause until the next value is taken"
+			(begin
+				(define Log [])
+				(define G (generator (lambda () (begin
+					(Log 'push "first")
+					(yield 1)
+					(Log 'push "second")
+					(yield 2)))))
+				(is-equal (iter:take G 1) [1])
+				(is-equal Log ["first"])))
+		(deftest "resume with the value given to next"
+			(begin
+				(define G (generator (lambda () (+ 1 (yield 'ready)))))
+				(G 'next)
+				(is-equal (dict:get (G 'next 41) "value") 42)))
+		(deftest "yield from lambdas the generator calls"
+			(begin
+				(define each-yield (lambda (L) (if (not (null? L)) (begin (yield (car L)) (each-yield (cdr L))))))
+				(is-equal (iter:list (generator (lambda () (each-yield [1 2 3])))) [1 2 3])))
+		(deftest "cannot yield from lambdas called from JavaScript"
+			(begin
+				(define G (generator (lambda () (each [1 2] (lambda (X) (yield X))))))
+				(define E (try (iter:list G) (catch (E) E)))
+				(is-equal (error:name E) "InvalidOperationError")
+				(is ((error:message E) 'includes "lambda called from JavaScript"))))
+		(deftest "yield is only valid within a generator"
+			(throws? (yield 1) InvalidOperationError))))
@@ -0,0 +1,76 @@
+;; Tests of import options, circular imports and reloading modules
+(begin
+	(reader:use 'dict)
+	(import 'test)
+
+	(define fs (require "fs"))
+	(define os (require "os"))
+	(define path (require "path"))
+
+	;; Each test writes its modules to a directory of its own
+	(define Dir nil)
+	(define write-module (lambda (Name Code) (begin
+		(define File (path 'join Dir (+ Name ".lisp")))
+		(fs 'writeFileSync File Code)
+		File)))
+	(define Lib "(begin (define greet (lambda () \"hi\")) (define other 1) (export 'lib greet other))")
+
+	(suite "import"
+		(before-each (lambda () (set! Dir (fs 'mkdtempSync (path 'join (os 'tmpdir) "lispy-import-")))))
+		(after-each (lambda () (fs 'rmSync Dir #{"recursive" true})))
+
+		(deftest "imports every export by default"
+			(begin
+				(import (write-module "lib" Lib))
+				(is-equal [(lib:greet) lib:other] ["hi" 1])))
+		(deftest "only imports the members given"
+			(begin
+				(import (write-module "lib" Lib) only (lib:greet))
+				(is-equal (lib:greet) "hi")
+				(is (not (defined? lib:other)))))
+		(deftest "except imports all members but those given"
+			(begin
+				(import (write-module "lib" Lib) except (lib:greet))
+				(is-equal lib:other 1)
+				(is (not (defined? lib:greet)))))
+		(deftest "as prefixes each member"
+			(begin
+				(import (write-module "lib" Lib) as l)
+				(is-equal (l:lib:greet) "hi")
+				(is (not (defined? lib:greet)))))
+		(deftest "refuses members the module does not export"
+			(is-equal (error:name (try (import (write-module "lib" Lib) only (lib:missing)) (catch (E) E)))
+				"ImportError"))
+		(deftest "refuses unknown options"
+			(is-equal (error:name (try (import (write-module "lib" Lib) with (x)) (catch (E) E)))
+				"ImportError"))
+		(deftest "reports circular imports with the paths of the modules"
+			(begin
+				(define A (path 'join Dir "a.lisp"))
+				(define B (write-module "b" (+ "(import " (write A) ")")))
+				(write-module "a" (+ "(import " (write B) ")"))
+				(define E (try (import A) (catch (E) E)))
+				(is-equal (error:name E) "CircularImportError")
+				(is-equal (error:message E) (+ "Circular import: " (join [A B A] " -> ")))))
+		(deftest "a failed import can be retried"
+			(begin
+				(define File (write-module "lib" "(error (error:custom \"Broken\" \"broken\"))"))
+				(is-equal (error:name (try (import File) (catch (E) E))) "Broken")
+				(write-module "lib" Lib)
+				(import File)
+				(is-equal (lib:greet) "hi")))
+		(deftest "evaluates a module only once"
+			(begin
+				(define File (write-module "lib" Lib))
+				(import File)
+				(write-module "lib" "(begin (define greet (lambda () \"changed\")) (export 'lib greet))")
+				(import File)
+				(is-equal (lib:greet) "hi")))
+		(deftest "core:reload-module evaluates the module again"
+			(begin
+				(define File (write-module "lib" Lib))
+				(import File)
+				(write-module "lib" "(begin (define greet (lambda () \"changed\")) (export 'lib greet))")
+				(core:reload-module File)
+				(import File)
+				(is-equal (lib:greet) "changed")))))
@@ -0,0 +1,71 @@
+;; Tests of independent interpreters made by createInterpreter
+(begin
+	(reader:use 'dict)
+	(import 'test)
+
+	(define create-interpreter (lispy:jseval "CreateInterpreter"))
+	(define call-from-javascript (lispy:jseval "(f) => f()"))
+
+	(suite "createInterpreter"
+		(deftest "evaluates code in environments of its own"
+			(begin
+				(define A (create-interpreter))
+				(define B (create-interpreter))
+				(A 'eval "(define Shared 1)")
+				(is-equal (A 'eval "Shared") 1)
+				(is-equal (B 'eval "(defined? Shared)") false)
+				(is (not (defined? Shared)))))
+		(deftest "has an evaluator of its own"
+			(begin
+				(define Previous (kernel:evaluator))
+				(define A (create-interpreter #{"evaluator" "compile"}))
+				(is-equal (A 'eval "(kernel:evaluator)") "compile")
+				(A 'setEvaluator "stack")
+				(is-equal (A 'eval "(kernel:evaluator)") "stack")
+				(is-equal (kernel:evaluator) Previous)))
+		(deftest "lambdas run in their interpreter when called from JavaScript"
+			(begin
+				(define Previous (kernel:evaluator))
+				(define A (create-interpreter #{"evaluator" "stack"}))
+				(define Which (A 'eval "(lambda () (kernel:evaluator))"))
+				(kernel:evaluator 'normal)
+				(is-equal (call-from-javascript Which) "stack")
+				(kernel:evaluator Previous)))
+		(deftest "has a debug state of its own"
+			(begin
+				(define Err [])
+				(define A (create-interpreter #{"stderr" #{"write" (lambda (Text) (Err 'push Text))}}))
+				(A 'setDebug true)
+				(A 'eval "(+ 1 2)")
+				(A 'setDebug false)
+				(is (> (length Err) 0))
+				(is-equal (lispy:jseval "Eval === DebugEval") false)))
+		(deftest "prints to its own stdout"
+			(begin
+				(define Out [])
+				(define A (create-interpreter #{"stdout" #{"write" (lambda (Text) (Out 'push Text))}}))
+				(A 'eval "(print \"hello\")")
+				(is-equal Out ["hello\n"])))
+		(deftest "resumes in its own interpreter after an await"
+			(begin
+				(define Out [])
+				(define A (create-interpreter #{"stdout" #{"write" (lambda (Text) (Out 'push Text))}}))
+				(define Previous (kernel:evaluator))
+				(define Done (A 'eval "((async () (begin (await (promise:resolve 1)) (print \"after\") (kernel:evaluator))))"))
+				(kernel:evaluator 'stack)
+				(define Which (await Done))
+				(kernel:evaluator Previous)
+				(is-equal Out ["after\n"])
+				(is-equal Which "normal")))
+		(deftest "loads modules separately"
+			(begin
+				(define A (create-interpreter))
+				(define B (create-interpreter))
+				(is (not (=== (dict:get (A 'require "fs") "exists") (dict:get (B 'require "fs") "exists"))))
+				(is (=== (dict:get (A 'require "fs") "exists") (dict:get (A 'require "fs") "exists")))))
+		(deftest "evaluates in the environment given"
+			(begin
+				(define A (create-interpreter))
+				(define Env (env:new (dict:get A "StandardEnvironment")))
+				(env:define Env 'X 41)
+				(is-equal (A 'eval "(+ X 1)" Env) 42)))))
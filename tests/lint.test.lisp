@@ -0,0 +1,83 @@
+;; Tests of the static analysis used by --lint
+(begin
+	(reader:use 'dict)
+	(import 'test)
+
+	(define fs (require "fs"))
+	(define os (require "os"))
+	(define path (require "path"))
+	(define child_process (require "child_process"))
+
+	;; The findings for Code in File, each as [Code Severity Location Message]
+	(define findings (lispy:jseval
+		"(code, file) => new Analysis(code, file || 'a.lisp').diagnostics.map(D => [D.code, D.severity, String(D.location), D.message])"))
+	;; Just the codes of the findings for Code
+	(define codes (lambda (Code) (map (findings Code) head)))
+
+	(suite "lint"
+		(deftest "finds unbound names"
+			(is-equal (findings "(begin (define x 1) (print x y))")
+				[["unbound" "warning" "a.lisp:1:30" "y is not defined"]]))
+		(deftest "finds set! of undefined names"
+			(is-equal (findings "(begin (set! z 1))")
+				[["set-undefined" "warning" "a.lisp:1:14" "set! of z, which is not defined"]]))
+		(deftest "checks the arity of calls to lambdas"
+			(begin
+				(is-equal (findings "(begin (define f (lambda (A B) A)) (f 1))")
+					[["arity" "warning" "a.lisp:1:37" "f expects exactly 2 argument(s), got 1"]])
+				(is-equal (codes "(begin (define f (lambda (A &optional B) A)) (f 1) (f 1 2))") [])
+				(is-equal (codes "(begin (define f (lambda (A &optional B) A)) (f))") ["arity"])))
+		(deftest "checks calls to native procedures do not have too many arguments"
+			(is-equal (codes "(begin (car 1 2 3))") ["arity"]))
+		(deftest "finds definitions that shadow globals"
+			(is-equal (findings "(begin (define print 1) print)")
+				[["shadow" "information" "a.lisp:1:16" "print shadows a global of the same name"]]))
+		(deftest "finds unused definitions, except those starting with _"
+			(is-equal (findings "(begin (define unused 1) (define _ok 2) 3)")
+				[["unused" "information" "a.lisp:1:16" "unused is defined but never used"]]))
+		(deftest "finds forms after the first"
+			(is-equal (codes "(print 1) (print 2)") ["ignored"]))
+		(deftest "finds modules that are not found"
+			(is-equal (codes "(begin (import \"no-such-module\"))") ["import"]))
+		(deftest "reports parser errors"
+			(is-equal (codes "(begin (print 1)") ["parse"]))
+		(deftest "names in macro calls or checked by defined? are not unbound"
+			(is-equal (codes "(begin (defined? q) (define m (macro (X) X)) (m zz))") []))
+		(deftest "resolves the names of imported modules"
+			(begin
+				(define Dir (fs 'mkdtempSync (path 'join (os 'tmpdir) "lispy-lint-")))
+				(fs 'writeFileSync (path 'join Dir "lib.lisp") "(begin (define greet (lambda (Name) Name)) (export 'lib greet))")
+				(define Found (findings "(begin (import \"./lib\") (lib:greet) (lib:other))" (path 'join Dir "main.lisp")))
+				(fs 'rmSync Dir #{"recursive" true})
+				(is-equal (map Found (lambda (F) (index F 3)))
+					["lib:other is not defined" "lib:greet expects exactly 1 argument(s), got 0"]))))
+
+	(suite "--lint"
+		(define Dir nil)
+		;; Lint the files in Dir with Options, giving {Status Stdout}
+		(define run-lint (lambda (Options) (begin
+			(define Result (child_process 'spawnSync "node"
+				(concat [(path 'join (lispy:jseval "__dirname") "index.js") "--lint"] (concat Options [Dir]))
+				#{"encoding" "utf8"}))
+			{(dict:get Result "status") (dict:get Result "stdout")})))
+		(before-each (lambda () (set! Dir (fs 'mkdtempSync (path 'join (os 'tmpdir) "lispy-lint-")))))
+		(after-each (lambda () (fs 'rmSync Dir #{"recursive" true})))
+
+		(deftest "prints the findings with their locations"
+			(begin
+				(fs 'writeFileSync (path 'join Dir "a.lisp") "(begin (print y))")
+				(is-equal (run-lint []) {1 (+ (path 'join Dir "a.lisp") ":1:15: warning: y is not defined [unbound]\n")})))
+		(deftest "--json gives the findings as JSON"
+			(begin
+				(fs 'writeFileSync (path 'join Dir "a.lisp") "(begin (print y))")
+				(match (run-lint ["--json"])
+					({Status Out} (begin
+						(define Found (json:parse Out))
+						(is-equal (length Found) 1)
+						(is-equal (dict:get (head Found) "code") "unbound")
+						(is-equal [(dict:get (head Found) "line") (dict:get (head Found) "column")] [1 15]))))))
+		(deftest "only information does not fail"
+			(begin
+				(fs 'writeFileSync (path 'join Dir "a.lisp") "(begin (define unused 1) 2)")
+				(match (run-lint [])
+					({Status Out} (is-equal Status 0)))))))
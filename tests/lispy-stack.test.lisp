@@ -0,0 +1,36 @@
+;; Tests of the call trail recorded in errors as their Lispy stack
+(begin
+	(import 'test)
+
+	(define caught (lambda (Proc) (try (begin (Proc) undefined) (catch (E) E))))
+	(define frames (lambda (E) (cdr ((error:lispy-stack E) 'split "\n"))))
+	(define frame-names (lambda (E)
+		(map (frames E) (lambda (F) (car (cdr ((F 'trim) 'split " ")))))))
+
+	(define inner (lambda () (error (error:custom "Boom" "failed"))))
+	(define middle (lambda () (begin (inner) 1)))
+	(define outer (lambda () (begin (middle) 1)))
+	(define countdown (lambda (N) (if (= N 0) (begin (inner) 1) (countdown (- N 1)))))
+
+	(suite "Lispy stack"
+		(deftest "lists the lambdas running, innermost first"
+			(is-equal ((frame-names (caught outer)) 'slice 0 3) ["inner" "middle" "outer"]))
+		(deftest "collapses tail calls into one frame"
+			(begin
+				(define Frames (frames (caught (lambda () (begin (countdown 5) 1)))))
+				(is ((car Frames) 'includes "at inner"))
+				(is ((car (cdr Frames)) 'includes "at countdown"))
+				(is ((car (cdr Frames)) 'includes "[5 tail call(s) collapsed]"))))
+		(deftest "leaves no frames behind after an error is caught"
+			(begin
+				(caught outer)
+				(define E (caught inner))
+				(is-equal ((frame-names E) 'indexOf "middle") -1)))
+		(deftest "leaves no frames behind after calls return"
+			(begin
+				(outer-twice)
+				(is-equal ((frame-names (caught inner)) 'indexOf "outer") -1))))
+
+	(define outer-twice (lambda () (begin
+		(try (outer) (catch (E) nil))
+		(try (outer) (catch (E) nil))))))
@@ -0,0 +1,43 @@
+;; Tests of source locations on parsed forms and in errors
+(begin
+	(import 'test)
+
+	(define run (lambda (Code) (eval (parse Code "example.lisp") (env:new (env:current)))))
+	(define caught (lambda (Proc) (try (begin (Proc) undefined) (catch (E) E))))
+
+	(suite "parsed forms"
+		(deftest "lists and atoms know where they were read from"
+			(begin
+				(define Form (parse "(begin\n  (foo \"bar\"))" "example.lisp"))
+				(is-equal (source:location Form) "example.lisp:1:1")
+				(is-equal (source:location (car (cdr Form))) "example.lisp:2:3")))
+		(deftest "values have no location"
+			(is-equal (source:location 1) undefined)))
+
+	(suite "errors"
+		(deftest "an error raised by a form is located at that form"
+			(begin
+				(define E (caught (lambda () (run "(begin\n  (error (error:custom 'Foo \"bar\")))"))))
+				(is-equal (error:location E) "example.lisp:2:3")))
+		(deftest "the location is not added to the message"
+			(begin
+				(define E (caught (lambda () (run "(error (error:custom 'Foo \"bar\"))"))))
+				(is-equal (error:message E) "bar")
+				(is-equal (error:location E) "example.lisp:1:1")))
+		(deftest "the stack shows the location"
+			(begin
+				(define E (caught (lambda () (run "(error (error:custom 'Foo \"bar\"))"))))
+				(is (((error:stack E) 'split "\n") 'includes "Source location: example.lisp:1:1"))))
+		(deftest "parser errors are located where the problem is"
+			(begin
+				(define E (caught (lambda () (parse "(a\n  (b c" "example.lisp"))))
+				(is-equal (error:name E) "ParserError")
+				(is-equal (error:message E) "Missing closing )")
+				(is-equal (error:location E) "example.lisp:2:3")))
+		(deftest "errors that are not JavaScript errors have no location"
+			(is-equal (error:location "failed") undefined))
+		(deftest "a location of nil is unknown"
+			(begin
+				(define E (error:custom 'Foo "bar"))
+				(dict:set E "location" nil)
+				(is-equal (error:location E) undefined)))))
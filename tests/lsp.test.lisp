@@ -0,0 +1,100 @@
+;; Tests of the language server
+(begin
+	(reader:use 'dict)
+	(import 'test)
+
+	(define fs (require "fs"))
+	(define os (require "os"))
+	(define path (require "path"))
+	(define url (require "url"))
+	(define timers (require "timers/promises"))
+
+	(define new-server (lispy:jseval "(input, output) => new LanguageServer(input, output)"))
+	(define new-stream (lispy:jseval "() => new (require('stream').PassThrough)()"))
+	;; A server whose messages are collected in Sent, as JSON
+	(define Server nil)
+	(define Sent [])
+	(define send (lambda (Id Method Params)
+		(Server 'receive (json:stringify (dict "jsonrpc" "2.0" "id" Id "method" Method "params" Params)))))
+	;; The body of the last message sent
+	(define last-sent (lambda ()
+		(json:parse (last (split (last Sent) "\r\n\r\n")))))
+	(define result (lambda () (dict:get (last-sent) "result")))
+
+	(define Uri "file:///tmp/a.lisp")
+	(define Code "(begin\n\t(define sq (lambda (N) (* N N)))\n\t(print (sq y)))")
+	(define open (lambda (Uri Text)
+		(send undefined "textDocument/didOpen" (dict "textDocument" (dict "uri" Uri "text" Text)))))
+	(define position (lambda (Line Character &optional (Document Uri))
+		(dict "textDocument" (dict "uri" Document) "position" (dict "line" Line "character" Character))))
+
+	(suite "language server"
+		(before-each (lambda () (begin
+			(set! Sent [])
+			(set! Server (new-server undefined (dict "write" (lambda (Text) (Sent 'push Text))))))))
+
+		(deftest "gives its capabilities"
+			(begin
+				(send 1 "initialize" (dict))
+				(is-equal (dict:get (dict:get (result) "capabilities") "hoverProvider") true)))
+		(deftest "publishes diagnostics when a document opens"
+			(begin
+				(open Uri Code)
+				(define Diagnostic (head (dict:get (dict:get (last-sent) "params") "diagnostics")))
+				(is-equal (dict:get Diagnostic "message") "y is not defined")
+				(is-equal (dict:get (dict:get (dict:get Diagnostic "range") "start") "line") 2)))
+		(deftest "reports parser errors"
+			(begin
+				(open Uri "(begin (print 1)")
+				(define Diagnostic (head (dict:get (dict:get (last-sent) "params") "diagnostics")))
+				(is-equal (dict:get Diagnostic "code") "parse")
+				(is-equal (dict:get Diagnostic "severity") 1)))
+		(deftest "completes names"
+			(begin
+				(open Uri Code)
+				(send 1 "textDocument/completion" (position 2 10))
+				(define Sq ((result) 'find (lambda (Item) (= (dict:get Item "label") "sq"))))
+				(is-equal (dict:get Sq "detail") "(sq N)")
+				(is ((result) 'every (lambda (Item) ((dict:get Item "label") 'startsWith "s"))))))
+		(deftest "hovers with the argument list"
+			(begin
+				(open Uri Code)
+				(send 1 "textDocument/hover" (position 2 9))
+				(is ((dict:get (dict:get (result) "contents") "value") 'includes "(sq N)"))))
+		(deftest "goes to the definition"
+			(begin
+				(open Uri Code)
+				(send 1 "textDocument/definition" (position 2 9))
+				(is-equal (dict:get (result) "uri") Uri)
+				(is-equal (dict:get (dict:get (dict:get (result) "range") "start") "line") 1)))
+		(deftest "goes to definitions in imported modules"
+			(begin
+				(define Dir (fs 'mkdtempSync (path 'join (os 'tmpdir) "lispy-lsp-")))
+				(fs 'writeFileSync (path 'join Dir "lib.lisp") "(begin\n\t(define greet (lambda () 1))\n\t(export 'lib greet))")
+				(define Main (dict:get (url 'pathToFileURL (path 'join Dir "main.lisp")) "href"))
+				(open Main "(begin\n\t(import \"./lib\")\n\t(lib:greet))")
+				(send 1 "textDocument/definition" (position 2 3 Main))
+				(fs 'rmSync Dir #{"recursive" true})
+				(is-equal (url 'fileURLToPath (dict:get (result) "uri")) (path 'join Dir "lib.lisp"))))
+		(deftest "lists the top level definitions"
+			(begin
+				(open Uri Code)
+				(send 1 "textDocument/documentSymbol" (dict "textDocument" (dict "uri" Uri)))
+				(is-equal (map (result) (lambda (S) (dict:get S "name"))) ["sq"])))
+		(deftest "refuses unknown methods"
+			(begin
+				(send 1 "no/such/method" (dict))
+				(is-equal (dict:get (dict:get (last-sent) "error") "code") -32601)))
+		(deftest "reads messages framed by Content-Length"
+			(begin
+				(define Input (new-stream))
+				(set! Server (new-server Input (dict "write" (lambda (Text) (Sent 'push Text)))))
+				(Server 'listen)
+				(define Body "{\"jsonrpc\":\"2.0\",\"id\":7,\"method\":\"shutdown\"}")
+				(define Message (+ "Content-Length: " (length Body) "\r\n\r\n" Body))
+				(Input 'write (Message 'slice 0 10))
+				(await (timers 'setImmediate))
+				(is-equal Sent [])
+				(Input 'write (Message 'slice 10))
+				(await (timers 'setImmediate))
+				(is-equal (dict:get (last-sent) "id") 7)))))
@@ -0,0 +1,50 @@
+;; Tests of gensym, macroexpand and hygienic macros
+(begin
+	(import 'test)
+
+	(define unless (macro (Cond Body) `(if ,Cond nil ,Body)))
+	(define unless-not (macro (Cond Body) `(unless (not ,Cond) ,Body)))
+
+	(suite "gensym"
+		(deftest "makes a new symbol each time"
+			(is (not (= (to_s (gensym)) (to_s (gensym))))))
+		(deftest "starts the name with the prefix given"
+			(is-equal ((to_s (gensym 'tmp)) 'slice 0 5) "#:tmp"))
+		(deftest "the reader can not make a symbol equal to a gensym"
+			(begin
+				(define G (gensym))
+				(throws? (parse (to_s G)) ParserError)
+				(throws? (read "'#:G1") ParserError)))
+		(deftest "interpreters do not make the same gensyms"
+			(begin
+				(define A ((lispy:jseval "CreateInterpreter")))
+				(is (not (= (to_s (A 'eval "(gensym)")) (to_s (gensym))))))))
+
+	(suite "macroexpand"
+		(deftest "macroexpand-1 expands a macro call once without evaluating it"
+			(is-equal (macroexpand-1 '(unless-not X (f))) ['unless ['not 'X] ['f]]))
+		(deftest "macroexpand expands until the form is no longer a macro call"
+			(is-equal (macroexpand '(unless-not X (f))) ['if ['not 'X] 'nil ['f]]))
+		(deftest "forms that are not macro calls are unchanged"
+			(begin
+				(is-equal (macroexpand '(+ 1 2)) ['+ 1 2])
+				(is-equal (macroexpand-1 'X) 'X))))
+
+	(suite "hygienic-macro"
+		(define swap! (hygienic-macro (A B)
+			`(begin (define Tmp ,A) (set! ,A ,B) (set! ,B Tmp))))
+		(deftest "renames variables the expansion introduces"
+			(begin
+				(define Tmp 1)
+				(define Other 2)
+				(swap! Tmp Other)
+				(is-equal [Tmp Other] [2 1])))
+		(deftest "keeps the names the caller gives"
+			(begin
+				(define Expansion (macroexpand-1 '(swap! X Y)))
+				(is-equal (index Expansion 2) ['set! 'X 'Y])
+				(is (not (= (to_s (index (index Expansion 1) 1)) "Tmp")))))
+		(deftest "renames afresh in each expansion"
+			(begin
+				(define renamed (lambda () (to_s (index (index (macroexpand-1 '(swap! X Y)) 1) 1))))
+				(is (not (= (renamed) (renamed))))))))
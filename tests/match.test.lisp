@@ -0,0 +1,46 @@
+;; Tests of structural pattern matching
+(begin
+	(reader:use 'dict)
+	(import 'test)
+
+	(define describe (lambda (Value) (match Value
+		({'ok V} ['ok V])
+		({'continue Body Env} when (> Body 1) ['big Body])
+		({'continue Body Env} ['small Body])
+		([First &rest Others] ['list First Others])
+		((dict "name" Name) ['named Name])
+		(_ 'other))))
+
+	(suite "match"
+		(deftest "destructures tuples by their tag"
+			(begin
+				(is-equal (describe {'ok 1}) ['ok 1])
+				(is-equal (describe {'continue 5 nil}) ['big 5])))
+		(deftest "tries the next clause when a guard fails"
+			(is-equal (describe {'continue 1 nil}) ['small 1]))
+		(deftest "binds the rest of a list"
+			(is-equal (describe [1 2 3]) ['list 1 [2 3]]))
+		(deftest "matches dicts that have the key"
+			(is-equal (describe #{"name" "Ann"}) ['named "Ann"]))
+		(deftest "_ matches anything"
+			(is-equal (describe 42) 'other))
+		(deftest "literals match themselves"
+			(begin
+				(is-equal (match 2 (1 'one) (2 'two)) 'two)
+				(is-equal (match "a" ("b" 1) ("a" 2)) 2)
+				(is-equal (match nil (false 1) (nil 2)) 2)
+				(is-equal (match 'x ('y 1) ('x 2)) 2)))
+		(deftest "lists and tuples must have the same length"
+			(begin
+				(is-equal (match [1 2 3] ([A B] 'two) ([A B C] 'three)) 'three)
+				(is-equal (match [1 2] ({A B} 'tuple) ([A B] 'list)) 'list)))
+		(deftest "binds variables in a new environment"
+			(begin
+				(define A 'outer)
+				(is-equal (match [1] ([A] A)) 1)
+				(is-equal A 'outer)))
+		(deftest "raises a MatchError giving the value when nothing matches"
+			(begin
+				(define E (try (match [1 2] ({A} A)) (catch (E) E)))
+				(is-equal (error:name E) "MatchError")
+				(is-equal (error:message E) "No match clause matched [1 2]")))))
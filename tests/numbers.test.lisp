@@ -0,0 +1,50 @@
+;; Tests of numeric literals and arithmetic
+(begin
+	(import 'test)
+
+	(suite "numeric literals"
+		(deftest "integers and decimals"
+			(begin
+				(is-equal (parse "-7") -7)
+				(is-equal (parse "+3") 3)
+				(is-equal (parse ".5") 0.5)
+				(is-equal (parse "1e-3") 0.001)))
+		(deftest "hexadecimal, binary and octal"
+			(is-equal [0x1F 0b101 0o17] [31 5 15]))
+		(deftest "BigInts"
+			(begin
+				(is-equal (typeof 123n) 'number)
+				(is-equal (write 123n) "123n")))
+		(deftest "integers too large to be exact are BigInts"
+			(is-equal (write (parse "123456789012345678901234567890")) "123456789012345678901234567890n"))
+		(deftest "rationals are exact"
+			(begin
+				(is (rational? 1/3))
+				(is-equal (write 2/4) "1/2")))
+		(deftest "decimals that overflow are a parser error"
+			(throws? (parse "1e999") ParserError))
+		(deftest "malformed numbers are a parser error"
+			(throws? (parse "1+") ParserError)))
+
+	(suite "arithmetic"
+		(deftest "plain numbers behave as in JavaScript"
+			(is-equal (/ 1 4) 0.25))
+		(deftest "BigInts and rationals stay exact"
+			(begin
+				(is-equal (write (/ 1n 3)) "1/3")
+				(is-equal (write (+ 1/3 2/3)) "1n")
+				(is-equal (write (* 2n 3n)) "6n")))
+		(deftest "a non-integer operand gives a float"
+			(is-equal (+ 1/2 0.25) 0.75))
+		(deftest "div and mod are floored"
+			(begin
+				(is-equal (div -7 2) -4)
+				(is-equal (mod -7 2) 1)
+				(is-equal (write (div -7n 2n)) "-4n")))
+		(deftest "numbers compare by value"
+			(begin
+				(is (= 1/2 0.5))
+				(is (< 1/3 1))
+				(is (integer? 4n))
+				(is (rational? 4n))
+				(is (not (rational? 4)))))))
@@ -0,0 +1,65 @@
+;; Tests of importing modules from packages in node_modules directories
+(begin
+	(reader:use 'dict)
+	(import 'test)
+
+	(define fs (require "fs"))
+	(define os (require "os"))
+	(define path (require "path"))
+	(define process (require "process"))
+
+	;; Each test installs its packages in a directory of its own
+	(define Dir nil)
+	(define Cwd nil)
+	(define write-file (lambda (Name Content) (begin
+		(define File (path 'join Dir Name))
+		(fs 'mkdirSync (path 'dirname File) #{"recursive" true})
+		(fs 'writeFileSync File Content)
+		File)))
+	(define module-code (lambda (Value)
+		(+ "(begin (define value (lambda () " (write Value) ")) (export 'pkg value))")))
+	;; Import Name from a module in Dir, or the directory Within it
+	(define import-from (lambda (Name &optional (Within "")) (begin
+		(import (write-file (path 'join Within "main.lisp")
+			(+ "(begin (import " (write Name) ") (define value pkg:value) (export 'main value))")))
+		(main:value))))
+
+	(suite "packages"
+		(before-each (lambda () (begin
+			(set! Dir (fs 'mkdtempSync (path 'join (os 'tmpdir) "lispy-packages-")))
+			(set! Cwd (process 'cwd)))))
+		(after-each (lambda () (begin
+			(process 'chdir Cwd)
+			(fs 'rmSync Dir #{"recursive" true}))))
+
+		(deftest "imports index.lisp of a package by default"
+			(begin
+				(write-file "node_modules/lib/index.lisp" (module-code "index"))
+				(is-equal (import-from "lib") "index")))
+		(deftest "imports the module given by the lispy field of package.json"
+			(begin
+				(write-file "node_modules/lib/package.json" "{\"name\": \"lib\", \"lispy\": \"src/main.lisp\"}")
+				(write-file "node_modules/lib/src/main.lisp" (module-code "main"))
+				(is-equal (import-from "lib") "main")))
+		(deftest "imports scoped packages"
+			(begin
+				(write-file "node_modules/@scope/lib/index.lisp" (module-code "scoped"))
+				(is-equal (import-from "@scope/lib") "scoped")))
+		(deftest "imports a module within a package"
+			(begin
+				(write-file "node_modules/@scope/lib/src/helpers.lisp" (module-code "helpers"))
+				(is-equal (import-from "@scope/lib/src/helpers") "helpers")))
+		(deftest "searches node_modules directories upwards from the importing module"
+			(begin
+				(write-file "node_modules/lib/index.lisp" (module-code "outer"))
+				(is-equal (import-from "lib" "app/src") "outer")))
+		(deftest "prefers the nearest package"
+			(begin
+				(write-file "node_modules/lib/index.lisp" (module-code "outer"))
+				(write-file "app/node_modules/lib/index.lisp" (module-code "inner"))
+				(is-equal (import-from "lib" "app") "inner")))
+		(deftest "Require finds packages from the current directory"
+			(begin
+				(write-file "node_modules/lib/index.lisp" (module-code "required"))
+				(process 'chdir Dir)
+				(is-equal ((dict:get ((lispy:jseval "Require") "lib") "value")) "required")))))
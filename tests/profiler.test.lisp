@@ -0,0 +1,66 @@
+;; Tests of the profiler
+(begin
+	(reader:use 'dict)
+	(import 'test)
+
+	(define fs (require "fs"))
+	(define os (require "os"))
+	(define path (require "path"))
+	(define child_process (require "child_process"))
+
+	;; Profile Code, sampling at every call, giving the stopped Profiler
+	(define profile (lambda (Code) (begin
+		(define Profiler ((lispy:jseval "new Profiler(0)") 'start))
+		(try (eval (parse Code "p.lisp") (env:new (env:current)))
+			(catch (E) (begin
+				(Profiler 'stop)
+				(error E))))
+		(Profiler 'stop))))
+	;; The entry of the Profiler named Name
+	(define entry (lambda (Profiler Name)
+		((Profiler 'results) 'find (lambda (E) (= (dict:get E "name") Name)))))
+	(define Fib "(begin (define fib (lambda (N) (if (< N 2) N (+ (fib (- N 1)) (fib (- N 2)))))) (fib 10))")
+
+	(suite "profiler"
+		(deftest "counts calls to each lambda by its defined name"
+			(begin
+				(define Entry (entry (profile Fib) "fib"))
+				(is-equal (dict:get Entry "calls") 177)
+				(is-equal (to_s (dict:get Entry "location")) "p.lisp:1:32")))
+		(deftest "counts calls to native procedures"
+			(is-equal (dict:get (entry (profile Fib) "+") "calls") 88))
+		(deftest "inclusive time is at least the exclusive time"
+			(begin
+				(define Entry (entry (profile Fib) "fib"))
+				(is (>= (dict:get Entry "total") (dict:get Entry "self")))
+				(is (> (dict:get Entry "total") 0))))
+		(deftest "tables the entries by exclusive time"
+			(begin
+				(define Lines (split ((profile Fib) 'table) "\n"))
+				(is ((head Lines) 'startsWith "Profile of"))
+				(is ((index Lines 1) 'includes "Calls  Self ms"))
+				(is (Lines 'some (lambda (L) (L 'includes "fib (p.lisp:1:32)"))))))
+		(deftest "folds stacks with the callers of each sample"
+			(begin
+				(define Folded ((profile Fib) 'folded))
+				(is (Folded 'startsWith "(top level)"))
+				(is (Folded 'includes ";fib (p.lisp:1:32);fib (p.lisp:1:32)"))))
+		(deftest "gives a cpuprofile of the samples"
+			(begin
+				(define Profile ((profile Fib) 'cpuProfile))
+				(is-equal (dict:get (dict:get (head (dict:get Profile "nodes")) "callFrame") "functionName") "(root)")
+				(is-equal (length (dict:get Profile "samples")) (length (dict:get Profile "timeDeltas")))))
+		(deftest "-P shows the profile on exit and --profile-out writes it"
+			(begin
+				(define Dir (fs 'mkdtempSync (path 'join (os 'tmpdir) "lispy-profile-")))
+				(define Program (path 'join Dir "fib.lisp"))
+				(define Out (path 'join Dir "fib.cpuprofile"))
+				(fs 'writeFileSync Program Fib)
+				(define Result (child_process 'spawnSync "node"
+					[(path 'join (lispy:jseval "__dirname") "index.js") "-P" "--profile-out" Out Program]
+					#{"encoding" "utf8"}))
+				(define Written (fs 'existsSync Out))
+				(fs 'rmSync Dir #{"recursive" true})
+				(is-equal (dict:get Result "status") 0)
+				(is ((dict:get Result "stderr") 'includes "Calls  Self ms"))
+				(is Written)))))
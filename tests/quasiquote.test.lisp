@@ -0,0 +1,31 @@
+;; Tests of quasiquote, unquote and unquote-splicing
+(begin
+	(import 'test)
+
+	(define X 1)
+	(define L [2 3])
+
+	(suite "quasiquote"
+		(deftest "reads ` , and ,@ as quasiquote forms"
+			(begin
+				(is-equal (parse "`a") ['quasiquote 'a])
+				(is-equal (parse ",a") ['unquote 'a])
+				(is-equal (parse ",@a") ['unquote-splicing 'a])))
+		(deftest "quotes a template without unquotes"
+			(is-equal `(a (b c)) ['a ['b 'c]]))
+		(deftest "inserts unquoted values"
+			(is-equal `(a ,X (b ,(+ X 1))) ['a 1 ['b 2]]))
+		(deftest "splices unquoted lists"
+			(is-equal `(a ,@L b) ['a 2 3 'b]))
+		(deftest "splices nothing for nil"
+			(is-equal `(a ,@nil b) ['a 'b]))
+		(deftest "evaluates unquotes only at the depth of their quasiquote"
+			(is-equal `(a `(b ,(c ,X))) ['a ['quasiquote ['b ['unquote ['c 1]]]]]))
+		(deftest "unquote-splicing is only valid within a list"
+			(throws? (eval '(quasiquote (unquote-splicing L)) (env:current)) InvalidOperationError))
+		(deftest "builds the code of macros"
+			(begin
+				(define unless (macro (Cond Body) `(if ,Cond nil ,Body)))
+				(define call-with (macro (Proc Args) `(,Proc ,@Args)))
+				(is-equal (unless false 1) 1)
+				(is-equal (call-with + (1 2)) 3)))))
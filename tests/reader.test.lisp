@@ -0,0 +1,64 @@
+;; Tests of reader syntaxes
+(begin
+	(reader:use 'dict)
+	(import 'test)
+
+	(define fs (require "fs"))
+	(define os (require "os"))
+	(define path (require "path"))
+	(define process (require "process"))
+
+	;; (reader:use 'tag) makes <Form> read as (tagged Form)
+	(reader:syntax 'tag (lambda (Table)
+		(reader:delimiter Table "<" ">" 'tagged)))
+	;; (reader:use 'twice) makes ~Form read as (Form Form), and ~~ as nothing
+	(reader:syntax 'twice (lambda (Table)
+		(reader:macro Table "~" (lambda (Reader)
+			(if (= (reader:peek-char Reader) "~")
+				(begin (reader:next-char Reader) reader:none)
+				(begin
+					(define Form (reader:read Reader))
+					[Form Form]))))))
+
+	(suite "built in syntaxes"
+		(deftest "dict reads #{Key Value...} as a dict"
+			(is-equal (parse "(begin (reader:use 'dict) #{\"a\" 1})") ['begin ['reader:use ['quote 'dict]] ['dict "a" 1]]))
+		(deftest "regex reads #/Source/Flags as a regexp"
+			(begin
+				(define Pattern (eval (parse "(begin (reader:use 'regex) #/^a\\/b$/i)") (env:current)))
+				(is (Pattern 'test "A/B"))
+				(is-equal (dict:get Pattern "flags") "i")))
+		(deftest "comment reads #;Form as nothing"
+			(is-equal (parse "(begin (reader:use 'comment) [1 #;(2 3) 4])") ['begin ['reader:use ['quote 'comment]] ['list 1 4]]))
+		(deftest "syntaxes apply only after reader:use"
+			(is-equal (parse "(begin #{1 2} (reader:use 'dict) #{1 2})")
+				['begin '# ['tuple 1 2] ['reader:use ['quote 'dict]] ['dict 1 2]]))
+		(deftest "unknown syntaxes are a parser error"
+			(throws? (parse "(begin (reader:use 'no-such-syntax) 1)") ParserError)))
+
+	(suite "defined syntaxes"
+		(deftest "reader:delimiter reads a list up to its close"
+			(is-equal (index (parse "(begin (reader:use 'tag) <a 1>)") 2) ['tagged 'a 1]))
+		(deftest "reader:macro reads with the reader"
+			(is-equal (index (parse "(begin (reader:use 'twice) ~(f))") 2) [['f] ['f]]))
+		(deftest "a macro may read nothing"
+			(is-equal (parse "(begin (reader:use 'twice) ~~ 1)") ['begin ['reader:use ['quote 'twice]] 1]))
+		(deftest "read ignores reader:use"
+			(is-equal (read "'(begin (reader:use 'tag) <a>)") ['begin ['reader:use ['quote 'tag]] '<a>]))
+		(deftest "a sandbox can use syntaxes already defined"
+			(is-equal (sandbox:eval (sandbox:new) "(begin (reader:use 'dict) (dict:get #{\"a\" 1} \"a\"))") 1))
+		(deftest "a syntax not defined is loaded from the module of its name"
+			(begin
+				(define Dir (fs 'mkdtempSync (path 'join (os 'tmpdir) "lispy-reader-")))
+				(define Cwd (process 'cwd))
+				(fs 'writeFileSync (path 'join Dir "shouting.lisp") (+
+					"(begin (define upcase (lambda (S) (S 'toUpperCase)))"
+					" (reader:syntax 'shouting (lambda (Table)"
+					" (reader:macro Table \"!\" (lambda (Reader) ['shouting:upcase (reader:read Reader)]))))"
+					" (export 'shouting upcase))"))
+				(process 'chdir Dir)
+				(define Parsed (try (parse "(begin (reader:use 'shouting) !\"hello\")")
+					(catch (E) E)))
+				(process 'chdir Cwd)
+				(fs 'rmSync Dir #{"recursive" true})
+				(is-equal (index Parsed 2) ['shouting:upcase "hello"])))))
@@ -0,0 +1,43 @@
+;; Tests of record types made by defrecord
+(begin
+	(import 'test)
+
+	(define construct (lispy:jseval "(Type, ...args) => new Type(...args)"))
+	(define instance? (lispy:jseval "(value, Type) => value instanceof Type"))
+
+	(defrecord point (x y))
+	(defrecord pair (first second))
+
+	(suite "defrecord"
+		(deftest "makes records with a value for each field"
+			(begin
+				(define P (point:new 1 2))
+				(is-equal [(point:x P) (point:y P)] [1 2])
+				(throws? (point:new 1) ArityError)))
+		(deftest "tests for records of the type"
+			(begin
+				(is (point? (point:new 1 2)))
+				(is (not (point? (pair:new 1 2))))
+				(is (not (point? [1 2])))))
+		(deftest "updates fields functionally"
+			(begin
+				(define P (point:new 1 2))
+				(is-equal (point:with-y P 5) (point:new 1 5))
+				(is-equal (point:y P) 2)))
+		(deftest "is-equal compares the fields of records"
+			(is-equal (point:new 1 [2]) (point:new 1 [2])))
+		(deftest "typeof gives the type of the record"
+			(is-equal (typeof (point:new 1 2)) 'point))
+		(deftest "prints as the constructor call"
+			(is-equal (to_string (point:new 1 "a") true) "(point:new 1 \"a\")"))
+		(deftest "record? and record:fields work on any record"
+			(begin
+				(is (record? (pair:new 1 2)))
+				(is (not (record? 1)))
+				(is-equal (record:fields (pair:new 1 2)) ["first" "second"])))
+		(deftest "the type is a class with each field as a property"
+			(begin
+				(define P (construct point 1 2))
+				(is-equal (dict:get P "x") 1)
+				(is (instance? P point))
+				(is (point? P))))))
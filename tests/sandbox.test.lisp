@@ -0,0 +1,86 @@
+;; Tests of sandboxes: capabilities and resource limits
+(begin
+	(reader:use 'dict)
+	(import 'test)
+
+	(define error-of (lambda (Proc) (try (begin (Proc) undefined) (catch (E) E))))
+
+	(suite "capabilities"
+		(deftest "evaluates code with the allowed StdLib entries"
+			(is-equal (sandbox:eval (sandbox:new) "(map [1 2 3] (lambda (X) (* X 2)))") [2 4 6]))
+		(deftest "leaves out entries that reach the host"
+			(begin
+				(define S (sandbox:new))
+				(is-equal (sandbox:eval S "(defined? require)") false)
+				(is-equal (sandbox:eval S "(defined? lispy:jseval)") false)))
+		(deftest "includes only the entries allowed"
+			(begin
+				(define S (sandbox:new #{"allow" ["+"]}))
+				(is-equal (sandbox:eval S "(+ 1 2)") 3)
+				(is-equal (sandbox:eval S "(defined? -)") false)))
+		(deftest "refuses unknown entries"
+			(throws? (sandbox:new #{"allow" ["no-such-entry"]}) InvalidArgumentError))
+		(deftest "requires only the modules allowed"
+			(begin
+				(define S (sandbox:new #{"modules" ["path"]}))
+				(is-equal (sandbox:eval S "((require \"path\") 'basename \"/a/b\")") "b")
+				(throws? (sandbox:eval S "(require \"fs\")") InvalidOperationError)))
+		(deftest "refuses members that reach constructors"
+			(begin
+				(define S (sandbox:new))
+				(throws? (sandbox:eval S "(\"abc\" 'constructor)") InvalidOperationError)
+				(throws? (sandbox:eval S "(dict:get [] \"__proto__\")") InvalidOperationError)))
+		(deftest "refuses names inherited from Object.prototype"
+			(begin
+				(define S (sandbox:new))
+				(is-equal (sandbox:eval S "(defined? constructor)") false)
+				(throws? (sandbox:eval S "constructor") KeyNotFoundError)
+				(throws? (sandbox:eval S "__proto__") KeyNotFoundError)
+				(throws? (sandbox:eval S "(env:get (env:current) \"constructor\")") InvalidOperationError)))
+		(deftest "refuses values that run host code"
+			(begin
+				(define S (sandbox:new))
+				(define Host (lispy:jseval "({ object: Object, fn: () => Function })"))
+				(env:define (sandbox:env S) 'Host Host)
+				(throws? (sandbox:eval S "(dict:get Host \"object\")") InvalidOperationError)
+				(throws? (sandbox:eval S "(Host 'fn)") InvalidOperationError)
+				(throws? (sandbox:eval S "(proc:objectapply Host \"fn\" [])") InvalidOperationError)
+				(is-equal (dict:get Host "object") (lispy:jseval "Object"))))
+		(deftest "keeps definitions between evaluations"
+			(begin
+				(define S (sandbox:new))
+				(sandbox:eval S "(define X 41)")
+				(is-equal (sandbox:eval S "(+ X 1)") 42)
+				(is (not (env:defined? (env:current) 'X))))))
+
+	(suite "limits"
+		(deftest "stops evaluation after too many steps"
+			(begin
+				(define E (error-of (lambda ()
+					(sandbox:eval (sandbox:new #{"maxSteps" 1000}) "(begin (define f (lambda () (f))) (f))"))))
+				(is-equal (error:name E) "ResourceLimitError")
+				(is-equal (dict:get E "limit") "steps")))
+		(deftest "stops evaluation after too many environments"
+			(begin
+				(define E (error-of (lambda ()
+					(sandbox:eval (sandbox:new #{"maxEnvironments" 100}) "(begin (define f (lambda (N) (f (+ N 1)))) (f 0))"))))
+				(is-equal (dict:get E "limit") "environments")))
+		(deftest "stops evaluation after too long"
+			(begin
+				(define E (error-of (lambda ()
+					(sandbox:eval (sandbox:new #{"maxTime" 20}) "(begin (define f (lambda () (f))) (f))"))))
+				(is-equal (dict:get E "limit") "time")))
+		(deftest "count each evaluation separately"
+			(begin
+				(define S (sandbox:new #{"maxSteps" 1000}))
+				(sandbox:eval S "(define f (lambda (N) (if (> N 0) (f (- N 1)) N)))")
+				(sandbox:eval S "(f 50)")
+				(is-equal (sandbox:eval S "(f 50)") 0)))
+		(deftest "apply to a sandbox run inside another"
+			(begin
+				(define Inner (sandbox:new))
+				(define Outer (sandbox:new #{"maxSteps" 1000}))
+				(env:define (sandbox:env Outer) 'run-inner (lambda (Code) (sandbox:eval Inner Code)))
+				(define E (error-of (lambda ()
+					(sandbox:eval Outer "(run-inner \"(begin (define f (lambda () (f))) (f))\")"))))
+				(is-equal (dict:get E "limit") "steps")))))
@@ -0,0 +1,60 @@
+;; Tests of the REPL server, through a connection to a server on a free port
+(begin
+	(reader:use 'dict)
+	(import 'test)
+
+	(define net (require "net"))
+	(define once (dict:get (require "events") "once"))
+
+	(define Server undefined)
+	(define Socket undefined)
+	(define Received "") ;; data not yet read as a response
+	(define connect (async () (begin
+		(set! Server (lispy:jseval "new ReplServer()"))
+		(Server 'listen 0)
+		(await (once (dict:get Server "server") "listening"))
+		(set! Socket (net 'connect (dict:get ((dict:get Server "server") 'address) "port") "127.0.0.1"))
+		(Socket 'setEncoding "utf8")
+		(set! Received ""))))
+	(define send (lambda (Request)
+		(Socket 'write (+ (json:stringify Request) "\n"))))
+	;; Wait for the next response line
+	(define next-response (async ()
+		(if (Received 'includes "\n")
+			(begin
+				(define End (Received 'indexOf "\n"))
+				(define Line (Received 'slice 0 End))
+				(set! Received (Received 'slice (+ End 1)))
+				(json:parse Line))
+			(begin
+				(set! Received (+ Received (car (await (once Socket "data")))))
+				(await (next-response))))))
+	(define request (async (Request) (begin
+		(send Request)
+		(await (next-response)))))
+
+	(suite "REPL server"
+		(after-each (lambda () (Server 'close)))
+		(deftest "evaluates code in a session"
+			(begin
+				(await (connect))
+				(define Response (await (request #{"id" 1 "op" "eval" "code" "(begin (print \"hi\") (+ 1 2))"})))
+				(is-equal (dict:get Response "status") "ok")
+				(is-equal (dict:get Response "value") "3")
+				(is-equal (dict:get Response "out") "hi\n")))
+		(deftest "does not restrict member access as a sandbox does"
+			(begin
+				(await (connect))
+				(define Response (await (request #{"op" "eval" "code" "(\"abc\" 'constructor)"})))
+				(is-equal (dict:get Response "status") "ok")
+				(is-equal (dict:get Response "value") "\"\"")))
+		(deftest "interrupts a request being handled"
+			(begin
+				(await (connect))
+				(await (request #{"op" "eval" "code" "(define spin (lambda () (spin)))"}))
+				(send #{"id" 1 "op" "eval" "code" "(spin)"})
+				(send #{"id" 2 "op" "interrupt"})
+				(define Responses [(await (next-response)) (await (next-response))])
+				(define Failed (car (Responses 'filter (lambda (R) (= 1 (dict:get R "id"))))))
+				(is-equal (dict:get Failed "status") "error")
+				(is-equal (dict:get (dict:get Failed "error") "name") "InterruptedError")))))
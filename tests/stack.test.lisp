@@ -0,0 +1,39 @@
+;; Tests of the stack evaluator, whichever evaluator runs the tests
+(begin
+	(import 'test)
+
+	;; Evaluate Code with the stack evaluator, in a new environment
+	(define stacked (lambda (Code) (begin
+		(define Previous (kernel:evaluator))
+		(kernel:evaluator 'stack)
+		(define Result (try (eval (parse Code) (env:new (env:current)))
+			(catch (E) (begin
+				(kernel:evaluator Previous)
+				(error E)))))
+		(kernel:evaluator Previous)
+		Result)))
+
+	(suite "stack evaluator"
+		(deftest "evaluates special forms and calls"
+			(is-equal (stacked "(begin (define f (lambda (X) (if (> X 1) (* X (f (- X 1))) 1))) (f 5))") 120))
+		(deftest "recurses deeper than the JavaScript stack allows"
+			(is-equal (stacked "(begin (define f (lambda (N) (if (= N 0) 0 (+ 1 (f (- N 1)))))) (f 100000))") 100000))
+		(deftest "runs tail calls in constant space"
+			(is-equal (stacked "(begin (define f (lambda (N) (if (= N 0) \"done\" (f (- N 1))))) (f 100000))") "done"))
+		(deftest "limits the depth of nested calls"
+			(begin
+				(define Previous (kernel:max-depth))
+				(kernel:max-depth 1000)
+				(define E (try (stacked "(begin (define f (lambda (N) (+ 1 (f N)))) (f 0))") (catch (E) E)))
+				(kernel:max-depth Previous)
+				(is-equal (error:name E) "StackOverflowError")))
+		(deftest "catches errors with try"
+			(is-equal (stacked "(try (begin (error (error:custom 'Foo \"bar\")) 1) (catch (E) (error:message E)))") "bar"))
+		(deftest "expands macros"
+			(is-equal (stacked "(begin (define twice (macro (X) `(+ ,X ,X))) (twice 4))") 8))
+		(deftest "matches patterns"
+			(is-equal (stacked "(match [1 2] ([A B] (+ A B)))") 3))
+		(deftest "locates errors at the innermost form"
+			(begin
+				(define E (try (stacked "(begin\n  (error (error:custom 'Foo \"bar\")))") (catch (E) E)))
+				(is-equal (error:location E) "<input>:2:3")))))
@@ -0,0 +1,80 @@
+;; Tests of the test module: assertions, suites and fixtures, and
+;; asynchronous tests
+(begin
+	(reader:use 'dict)
+	(import 'test)
+
+	(define fs (require "fs"))
+	(define os (require "os"))
+	(define path (require "path"))
+	(define child_process (require "child_process"))
+
+	(suite "assertions"
+		(deftest "is passes for true values"
+			(is (= 3 (+ 1 2))))
+		(deftest "is raises an AssertionError for false values"
+			(throws? (is false) AssertionError))
+		(deftest "is-equal compares lists and tuples by their members"
+			(begin
+				(is-equal [1 [2 {3 "x"}]] [1 [2 {3 "x"}]])
+				(throws? (is-equal [1 2] [1 3]) AssertionError)))
+		(deftest "is-equal compares numbers by value"
+			(is-equal 1/2 0.5))
+		(deftest "is-equal compares booleans"
+			(begin
+				(is-equal (= 1 1) true)
+				(throws? (is-equal true false) AssertionError)))
+		(deftest "is-equal compares symbols by name"
+			(begin
+				(is-equal (symbol:new "a") 'a)
+				(throws? (is-equal 'a 'b) AssertionError)))
+		(deftest "throws? checks the error name"
+			(begin
+				(throws? (error (error:custom "Boom" "failed")) Boom)
+				(throws? (throws? (error (error:custom "Boom" "failed")) Other) AssertionError)
+				(throws? (throws? 1) AssertionError))))
+
+	(suite "fixtures"
+		(define Log [])
+		(before-each (lambda () (Log 'push "before")))
+		(after-each (lambda () (Log 'push "after")))
+		(deftest "before-each runs before the test"
+			(is-equal Log ["before"]))
+		(deftest "after-each ran after the last test"
+			(is-equal Log ["before" "after" "before"])))
+
+	(deftest "fixtures must be defined within a suite"
+		(throws? (before-each (lambda () nil)) TestError))
+
+	(suite "asynchronous tests"
+		(define Order [])
+		(after-each (lambda () (Order 'push "after")))
+		(deftest "a test that awaits finishes before the next starts"
+			(begin
+				(await ((require "timers/promises") 'setTimeout 5))
+				(Order 'push "async")
+				(is true)))
+		(deftest "the asynchronous test and its fixture ran first"
+			(is-equal Order ["async" "after"])))
+
+	(suite "test runner"
+		(define Dir nil)
+		(before-each (lambda () (set! Dir (fs 'mkdtempSync (path 'join (os 'tmpdir) "lispy-test-")))))
+		(after-each (lambda () (fs 'rmSync Dir #{"recursive" true})))
+
+		(deftest "runs each file in a new interpreter"
+			(begin
+				(fs 'writeFileSync (path 'join Dir "a.test.lisp") (+
+					"(begin (import 'test) (kernel:evaluator 'stack)"
+					" (env:define (env:toplevel (env:current)) 'Leaked 1) (deftest \"a\" (is true)))"))
+				(fs 'writeFileSync (path 'join Dir "b.test.lisp") (+
+					"(begin (import 'test) (deftest \"b\" (begin"
+					" (is (not (defined? Leaked))) (is-equal (kernel:evaluator) \"normal\"))))"))
+				(define Result (child_process 'spawnSync "node"
+					[(path 'join (lispy:jseval "__dirname") "index.js") "--test" Dir] #{"encoding" "utf8"}))
+				(is-equal (dict:get Result "stdout") (+
+					(path 'join Dir "a.test.lisp") "\n  ok   a\n"
+					(path 'join Dir "b.test.lisp") "\n  ok   b\n"
+					"2 test(s), 2 passed, 0 failed\n"))
+				(is-equal (dict:get Result "status") 0))))
+)